@@ -5,6 +5,7 @@ const Homey = require('homey');
 const { OAuth2App } = require('homey-oauth2app');
 
 const HoneywellLyricClient = require('./lib/HoneywellLyricClient');
+const { formatTime } = require('./lib/HoneywellUtils');
 
 const API_BASE_URL = 'https://api.honeywell.com';
 const TOKEN_URL = 'https://api.honeywell.com/oauth2/token';
@@ -23,11 +24,48 @@ class HoneywellLyricApp extends OAuth2App {
       apiUrl: API_BASE_URL,
       redirectUrl: REDIRECT_URI, // Important, trailing slash added
       authorizationUrl: AUTHORIZATION_URL,
+      allowMultiSession: true, // Pair devices of several Honeywell accounts
     });
 
     this.log(`${this.id} running...`);
   }
 
+  /**
+   * Extends client creation from homey-oauth2app, fires the rate limit Flow triggers for every
+   * OAuth2 session. A login on an account that already has a session returns the client of that
+   * session, the new token then replaces the token of all devices of the account.
+   * @param {Object} args
+   * @returns {OAuth2Client}
+   */
+  createOAuth2Client(args) {
+    if (this.hasOAuth2Client(args)) {
+      this.log(`createOAuth2Client() -> reusing session ${args.sessionId}`);
+      return this.getOAuth2Client(args);
+    }
+
+    const client = super.createOAuth2Client(args);
+
+    client.on('rateLimited', ({ until, count }) => {
+      // Only trigger when the rate limit starts, not when the backoff is extended
+      if (count !== 1) return;
+
+      this.homey.flow.getTriggerCard('rate_limited')
+        .trigger({
+          recovery_time: formatTime(new Date(until), this.homey.clock.getTimezone()),
+          backoff_minutes: Math.ceil((until - Date.now()) / 60000),
+        })
+        .catch(this.error);
+    });
+
+    client.on('rateLimitCleared', () => {
+      this.homey.flow.getTriggerCard('rate_limit_cleared')
+        .trigger()
+        .catch(this.error);
+    });
+
+    return client;
+  }
+
 }
 
 module.exports = HoneywellLyricApp;
@@ -0,0 +1,8 @@
+'use strict';
+
+const HoneywellRoomSensorDevice = require('../../lib/HoneywellRoomSensorDevice');
+
+class RoomSensorDevice extends HoneywellRoomSensorDevice {
+}
+
+module.exports = RoomSensorDevice;
@@ -0,0 +1,8 @@
+'use strict';
+
+const HoneywellRoomSensorDriver = require('../../lib/HoneywellRoomSensorDriver');
+
+class RoomSensorDriver extends HoneywellRoomSensorDriver {
+}
+
+module.exports = RoomSensorDriver;
@@ -0,0 +1,8 @@
+'use strict';
+
+const HoneywellWaterLeakDevice = require('../../lib/HoneywellWaterLeakDevice');
+
+class WaterLeakDetectorDevice extends HoneywellWaterLeakDevice {
+}
+
+module.exports = WaterLeakDetectorDevice;
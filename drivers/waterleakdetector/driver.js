@@ -0,0 +1,8 @@
+'use strict';
+
+const HoneywellWaterLeakDriver = require('../../lib/HoneywellWaterLeakDriver');
+
+class WaterLeakDetectorDriver extends HoneywellWaterLeakDriver {
+}
+
+module.exports = WaterLeakDetectorDriver;
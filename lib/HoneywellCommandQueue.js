@@ -0,0 +1,65 @@
+'use strict';
+
+/*
+ * Commands that are kept while a thermostat is offline or the account is rate limited. Only the
+ * latest intended state is kept: newer setpoints, mode and fan mode replace queued ones. A queued
+ * command is a plain object, so it can be kept in the device store across restarts.
+ */
+
+/**
+ * Merges a command into the queued command. The expiry counts from the first queued change, so
+ * a command that keeps being updated while the thermostat can not be reached still expires.
+ * @param {Object|null} queued - Queued command, from the device store
+ * @param {Object} [capabilityValues] - Thermostat capability values by capability id
+ * @param {Object} [hold] - { thermostatSetpointStatus, nextPeriodTime }
+ * @param {String} [fanMode]
+ * @param {Number} now - Timestamp in ms
+ * @param {Number} expiry - Time in ms the command is kept
+ * @returns {Object}
+ */
+function queueCommand(queued, {
+  capabilityValues = {}, hold = {}, fanMode,
+}, { now, expiry }) {
+  const command = {
+    capabilityValues: {},
+    hold: {},
+    queuedAt: now,
+    ...queued,
+  };
+
+  command.capabilityValues = { ...command.capabilityValues, ...capabilityValues };
+  command.hold = { ...command.hold, ...hold };
+  if (typeof fanMode === 'string') command.fanMode = fanMode;
+  command.expiresAt = command.queuedAt + expiry;
+
+  return command;
+}
+
+/**
+ * Returns true when the queued command expired.
+ * @param {Object} command
+ * @param {Number} now - Timestamp in ms
+ * @returns {boolean}
+ */
+function isCommandExpired(command, now) {
+  return typeof command.expiresAt !== 'number' || now >= command.expiresAt;
+}
+
+/**
+ * Returns a description of the queued command for the Flow tokens, e.g.
+ * "target_temperature: 21, fan_mode: On".
+ * @param {Object} command
+ * @returns {String}
+ */
+function describeCommand({ capabilityValues = {}, fanMode }) {
+  const values = Object.keys(capabilityValues)
+    .map(capabilityId => `${capabilityId}: ${capabilityValues[capabilityId]}`);
+  if (typeof fanMode === 'string') values.push(`fan_mode: ${fanMode}`);
+  return values.join(', ');
+}
+
+module.exports = {
+  queueCommand,
+  isCommandExpired,
+  describeCommand,
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+const HOUR = 60 * 60 * 1000;
+
+/*
+ * Fan timers on top of the fan modes of the thermostat. A run timer switches the fan on for a
+ * number of minutes, a circulation timer switches it on for a number of minutes at the start of
+ * every hour and back to the fan mode from before the timer for the rest of the hour. When the
+ * timer is stopped or ends, the fan mode from before the timer is restored. A timer is a plain
+ * object, so it can be kept in the device store and survives restarts:
+ *
+ * { type: 'run' | 'circulate', restoreMode, startedAt, endsAt, minutesPerHour, appliedMode }
+ */
+
+/**
+ * Starts a timer that runs the fan for a number of minutes. A running timer is replaced, but the
+ * fan mode from before that timer is kept as the mode to restore.
+ * @param {Object|null} timer - Running timer, from the device store
+ * @param {String} currentMode - Fan mode before the timer
+ * @param {Number} minutes
+ * @param {Number} now - Timestamp in ms
+ * @returns {Object}
+ */
+function startFanRun(timer, currentMode, { minutes, now }) {
+  return {
+    type: 'run',
+    restoreMode: timer ? timer.restoreMode : currentMode,
+    startedAt: now,
+    endsAt: now + (minutes * 60 * 1000),
+  };
+}
+
+/**
+ * Starts a timer that runs the fan for a number of minutes every hour, until it is stopped. A
+ * running timer is replaced like with startFanRun.
+ * @param {Object|null} timer - Running timer, from the device store
+ * @param {String} currentMode - Fan mode before the timer
+ * @param {Number} minutesPerHour
+ * @param {Number} now - Timestamp in ms
+ * @returns {Object}
+ */
+function startFanCirculation(timer, currentMode, { minutesPerHour, now }) {
+  return {
+    type: 'circulate',
+    restoreMode: timer ? timer.restoreMode : currentMode,
+    startedAt: now,
+    endsAt: null,
+    minutesPerHour,
+  };
+}
+
+/**
+ * Returns the fan mode the timer wants now and when that changes next. A run timer that ended
+ * wants the mode from before the timer and is done.
+ * @param {Object} timer
+ * @param {Number} now - Timestamp in ms
+ * @returns {{mode: String, nextChangeAt: Number|null, done: boolean}}
+ */
+function getFanTimerState(timer, now) {
+  if (typeof timer.endsAt === 'number' && now >= timer.endsAt) {
+    return { mode: timer.restoreMode, nextChangeAt: null, done: true };
+  }
+
+  if (timer.type === 'circulate') {
+    const hourStart = now - ((now - timer.startedAt) % HOUR);
+    const onUntil = hourStart + (timer.minutesPerHour * 60 * 1000);
+    return now < onUntil
+      ? { mode: 'On', nextChangeAt: onUntil, done: false }
+      : { mode: timer.restoreMode, nextChangeAt: hourStart + HOUR, done: false };
+  }
+
+  return { mode: 'On', nextChangeAt: timer.endsAt, done: false };
+}
+
+module.exports = {
+  startFanRun,
+  startFanCirculation,
+  getFanTimerState,
+};
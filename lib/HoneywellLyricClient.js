@@ -1,9 +1,68 @@
 'use strict';
 
 const { HoneywellOAuth2Client } = require('./HoneywellOAuth2Client');
+const HoneywellLyricPoller = require('./HoneywellLyricPoller');
 
 class HoneywellLyricClient extends HoneywellOAuth2Client {
 
+  /**
+   * Stop polling when the client is destroyed.
+   * @returns {Promise<void>}
+   */
+  async onUninit() {
+    if (this._poller) {
+      this._poller.destroy();
+    }
+  }
+
+  /**
+   * Returns the poller for this OAuth2 session, all devices that share this client are polled
+   * with a single getLocations() call.
+   * @returns {HoneywellLyricPoller}
+   */
+  getPoller() {
+    if (!this._poller) {
+      this._poller = new HoneywellLyricPoller({ homey: this.homey, oAuth2Client: this });
+    }
+    return this._poller;
+  }
+
+  /**
+   * Returns the session information of a new login, the session id is derived from the account
+   * so that a login on an account that already has a session reuses that session.
+   * @returns {Promise<{id: String, title: String}>}
+   */
+  async onGetOAuth2SessionInformation() {
+    const account = this.getAccount(await this.getLocations());
+    if (!account) return super.onGetOAuth2SessionInformation();
+    return account;
+  }
+
+  /**
+   * Returns the Honeywell account the locations belong to, named after its locations. The account
+   * is identified by the id of the logged in user, which the API lists with the users of every
+   * location, so adding or removing a location keeps the session. When no user is marked as the
+   * logged in user the account is identified by its locations instead: the id then changes with
+   * the locations, and devices move to the new session on their next init.
+   * @param {Array} locations
+   * @returns {{id: String, title: String}|null}
+   */
+  getAccount(locations) {
+    if (!Array.isArray(locations) || locations.length === 0) return null;
+
+    const sorted = [...locations].sort((a, b) => a.locationID - b.locationID);
+    const user = sorted
+      .reduce((users, location) => users.concat(location.users || []), [])
+      .find(locationUser => locationUser.isCurrentUser === true && locationUser.userID);
+
+    return {
+      id: user
+        ? `user-${user.userID}`
+        : `account-${sorted.map(location => location.locationID).join('-')}`,
+      title: sorted.map(location => location.name).join(', '),
+    };
+  }
+
   /**
    * Fetches all available locations from API.
    * @returns {Promise<*>}
@@ -47,6 +106,74 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
     return this.get({ path: `/v2/devices/thermostats/${deviceId}/fan?locationId=${locationId}&apikey=${this.getApiKey()}` });
   }
 
+  /**
+   * Fetches the rooms of a T9/T10 thermostat, including the values measured by the wireless room
+   * sensors in every room.
+   * @param {String} locationId
+   * @param {String} deviceId - Id of the thermostat
+   * @param {Number} [groupId]
+   * @returns {Promise<*>}
+   */
+  async getRooms({ locationId, deviceId, groupId = 0 }) {
+    this.log('getRooms()', locationId, deviceId, groupId);
+    if (typeof deviceId !== 'string') throw new Error('invalid_device_id');
+    if (typeof locationId !== 'string') throw new Error('invalid_location_id');
+
+    return this.get({ path: `/v2/devices/thermostats/${deviceId}/group/${groupId}/rooms?locationId=${locationId}&apikey=${this.getApiKey()}` });
+  }
+
+  /**
+   * Fetches the room priority of a T9/T10 thermostat: the priority type, the selected rooms and
+   * all rooms the thermostat knows.
+   * @param {String} locationId
+   * @param {String} deviceId
+   * @returns {Promise<*>}
+   */
+  async getPriority({ locationId, deviceId }) {
+    this.log('getPriority()', locationId, deviceId);
+    if (typeof deviceId !== 'string') throw new Error('invalid_device_id');
+    if (typeof locationId !== 'string') throw new Error('invalid_location_id');
+
+    return this.get({ path: `/v2/devices/thermostats/${deviceId}/priority?locationId=${locationId}&apikey=${this.getApiKey()}` });
+  }
+
+  /**
+   * Sets the room priority of a T9/T10 thermostat.
+   * @param {String} locationId
+   * @param {String} deviceId
+   * @param {String} priorityType - PickARoom, WholeHouse or FollowMe
+   * @param {Array<Number>} [selectedRooms] - Ids of the rooms to prioritize, for PickARoom
+   * @returns {Promise<*>}
+   */
+  async setPriority({
+    locationId, deviceId, priorityType, selectedRooms = [],
+  }) {
+    this.log('setPriority()', locationId, deviceId, priorityType, selectedRooms);
+    if (typeof deviceId !== 'string') throw new Error('invalid_device_id');
+    if (typeof locationId !== 'string') throw new Error('invalid_location_id');
+
+    return this.put({
+      path: `/v2/devices/thermostats/${deviceId}/priority?locationId=${locationId}&apikey=${this.getApiKey()}`,
+      json: {
+        currentPriority: { priorityType, selectedRooms },
+      },
+    });
+  }
+
+  /**
+   * Fetches a water leak detector from the API.
+   * @param {String} locationId
+   * @param {String} deviceId
+   * @returns {Promise<*>}
+   */
+  async getWaterLeakDetector({ locationId, deviceId }) {
+    this.log('getWaterLeakDetector()', locationId, deviceId);
+    if (typeof deviceId !== 'string') throw new Error('invalid_device_id');
+    if (typeof locationId !== 'string') throw new Error('invalid_location_id');
+
+    return this.get({ path: `/v2/devices/waterLeakDetectors/${deviceId}?locationId=${locationId}&apikey=${this.getApiKey()}` });
+  }
+
   /**
    * Method that makes a POST call to the API which sets the thermostat of a device.
    *
@@ -56,6 +183,9 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
    * @param coolSetpoint
    * @param mode
    * @param thermostatSetpointStatus
+   * @param nextPeriodTime - HH:MM:SS in the location's time zone, end of a HoldUntil hold
+   * @param [autoChangeoverActive] - Defaults to the current value of the device
+   * @param [deviceData] - Recently fetched device data, saves fetching it before writing
    * @returns {Promise<*>}
    */
   async setThermostat({
@@ -65,8 +195,11 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
     coolSetpoint,
     mode,
     thermostatSetpointStatus,
+    nextPeriodTime,
+    autoChangeoverActive,
+    deviceData,
   }) {
-    this.log('setTemperature()', locationId, deviceId, heatSetpoint, coolSetpoint, mode, thermostatSetpointStatus);
+    this.log('setTemperature()', locationId, deviceId, heatSetpoint, coolSetpoint, mode, thermostatSetpointStatus, nextPeriodTime);
     if (typeof deviceId !== 'string') throw new Error('invalid_device_id');
     if (typeof locationId !== 'string') throw new Error('invalid_location_id');
 
@@ -77,6 +210,9 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
       heatSetpoint,
       coolSetpoint,
       thermostatSetpointStatus,
+      nextPeriodTime,
+      autoChangeoverActive,
+      deviceData,
     });
   }
 
@@ -99,6 +235,38 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
     });
   }
 
+  /**
+   * Fetches the schedule (time based or geofence) of a device.
+   * @param {String} locationId
+   * @param {String} deviceId
+   * @returns {Promise<*>}
+   */
+  async getSchedule({ locationId, deviceId }) {
+    this.log('getSchedule()', locationId, deviceId);
+    if (typeof deviceId !== 'string') throw new Error('invalid_device_id');
+    if (typeof locationId !== 'string') throw new Error('invalid_location_id');
+
+    return this.get({ path: `/v2/devices/schedule/${deviceId}?type=regular&locationId=${locationId}&apikey=${this.getApiKey()}` });
+  }
+
+  /**
+   * Replaces the schedule of a device.
+   * @param {String} locationId
+   * @param {String} deviceId
+   * @param {Object} schedule - Schedule in the format returned by getSchedule
+   * @returns {Promise<*>}
+   */
+  async setSchedule({ locationId, deviceId, schedule }) {
+    this.log('setSchedule()', locationId, deviceId);
+    if (typeof deviceId !== 'string') throw new Error('invalid_device_id');
+    if (typeof locationId !== 'string') throw new Error('invalid_location_id');
+
+    return this.post({
+      path: `/v2/devices/schedule/${deviceId}?type=regular&locationId=${locationId}&apikey=${this.getApiKey()}`,
+      json: schedule,
+    });
+  }
+
   /**
    * Gets the latest set of device data
    *
@@ -128,6 +296,9 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
    * @param heatSetpoint
    * @param coolSetpoint
    * @param thermostatSetpointStatus
+   * @param nextPeriodTime
+   * @param autoChangeoverActive
+   * @param recentDeviceData - Used instead of fetching the latest device data when provided
    * @returns {Promise<*>}
    * @private
    */
@@ -138,8 +309,11 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
     heatSetpoint,
     coolSetpoint,
     thermostatSetpointStatus,
+    nextPeriodTime,
+    autoChangeoverActive,
+    deviceData: recentDeviceData,
   }) {
-    const deviceData = await this._getDeviceData({ locationId, deviceId });
+    const deviceData = recentDeviceData || await this._getDeviceData({ locationId, deviceId });
 
     const json = {
       mode: mode || deviceData.changeableValues.mode,
@@ -149,13 +323,18 @@ class HoneywellLyricClient extends HoneywellOAuth2Client {
     };
 
     if (typeof deviceData.changeableValues.autoChangeoverActive === 'boolean') {
-      json.autoChangeoverActive = deviceData.changeableValues.autoChangeoverActive;
+      json.autoChangeoverActive = typeof autoChangeoverActive === 'boolean'
+        ? autoChangeoverActive
+        : deviceData.changeableValues.autoChangeoverActive;
     }
 
     // Because of an issue with the API, 'TemporaryHold' does not function correctly.
     // Therefor we use the 'HoldUntil' with the 'nextPeriodTime' returned from the _getDeviceData
+    // unless a specific end time was requested
     if (json.thermostatSetpointStatus === 'HoldUntil') {
-      if (typeof deviceData.changeableValues.nextPeriodTime === 'string') {
+      if (typeof nextPeriodTime === 'string') {
+        json.nextPeriodTime = nextPeriodTime;
+      } else if (typeof deviceData.changeableValues.nextPeriodTime === 'string') {
         json.nextPeriodTime = deviceData.changeableValues.nextPeriodTime;
       } else {
         json.thermostatSetpointStatus = 'PermanentHold';
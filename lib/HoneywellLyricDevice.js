@@ -1,16 +1,83 @@
 'use strict';
 
-const { OAuth2Device, OAuth2Token, OAuth2Util } = require('homey-oauth2app');
-const { ftoc, ctof } = require('./HoneywellUtils');
-
-const UNIT_CELSIUS = 'Celsius';
-const POLL_INTERVAL = 60 * 1000; // 60 seconden
-
-class HoneywellLyricDevice extends OAuth2Device {
+const crypto = require('crypto');
+const { OAuth2Token } = require('homey-oauth2app');
+const HoneywellOAuth2Device = require('./HoneywellOAuth2Device');
+const {
+  UNIT_CELSIUS,
+  UNIT_FAHRENHEIT,
+  toCelsius,
+  fromCelsius,
+  findLocationDevice,
+  formatTime,
+  getNextTimeOfDay,
+  ceilToQuarterHour,
+} = require('./HoneywellUtils');
+const {
+  parseSchedule,
+  serializeSchedule,
+  getPeriodNames,
+  setPeriodSetpoints,
+  getCurrentAndNextPeriod,
+} = require('./HoneywellSchedule');
+const {
+  RUNTIME_TYPES, updateRuntime, getDutyCycle, toHours,
+} = require('./HoneywellRuntime');
+const { validateSetpoints } = require('./HoneywellSetpoints');
+const HoneywellWriteQueue = require('./HoneywellWriteQueue');
+const { queueCommand, isCommandExpired, describeCommand } = require('./HoneywellCommandQueue');
+const { startFanRun, startFanCirculation, getFanTimerState } = require('./HoneywellFanTimer');
+const {
+  LEGACY_MODE_CAPABILITIES,
+  getModeModel,
+  toThermostatMode,
+  fromThermostatMode,
+  getModeCapabilityOptions,
+  fromLegacyModeValue,
+  getLegacyCapabilityModes,
+} = require('./HoneywellModes');
+
+const MEASURE_TEMPERATURE_STEP = 0.1;
+const SCHEDULE_REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const PRIORITY_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const DEVICE_DATA_MAX_AGE = 60 * 1000; // 60 seconds, polled data that is reused for writes
+const DEFAULT_QUEUE_EXPIRY = 120; // minutes, see the queue_expiry setting
+
+// Delays between the reads that confirm a write, 30 seconds in total
+const CONFIRM_DELAYS = [5 * 1000, 10 * 1000, 15 * 1000];
+const HOLD_CAPABILITIES = ['custom_hold_status', 'custom_hold_until'];
+// Capabilities that depend on the allowed modes and fan of the device, removed when no longer
+// supported, with the device data they are derived from. They are only removed when that data is
+// present, a partial device payload does not mean the modes or fan were disabled. Sensor
+// capabilities are never removed, a value may be missing temporarily.
+const MODE_CAPABILITIES = {
+  'target_temperature.cool': ['allowedModes'],
+  thermostat_mode: ['allowedModes'],
+  custom_auto_changeover: ['allowedModes', 'changeableValues'],
+  fan_mode: ['settings'],
+};
+// Operation modes reported while the auxiliary heat of a heat pump runs
+const AUX_HEAT_OPERATION_MODES = ['AuxHeat', 'EmergencyHeat'];
+const EQUIPMENT_STATUS_TRIGGERS = {
+  heating: 'equipment_started_heating',
+  cooling: 'equipment_started_cooling',
+  idle: 'equipment_went_idle',
+};
+
+// Triggers that fire when a capability changes, with the flow token the value is passed as. The
+// legacy mode cards fire from the Honeywell mode instead, see _updateMode.
+const CAPABILITY_CHANGE_TRIGGERS = {
+  fan_mode: [{ cardId: 'fan_mode_changed', token: 'fan_mode' }],
+  'target_temperature.cool': [
+    { cardId: 'target_temperature.cool_changed', token: 'target_temperature.cool' },
+  ],
+};
+
+class HoneywellLyricDevice extends HoneywellOAuth2Device {
 
   /**
-   * Marks device as unavailable, bind rateLimit listener, migrate location id from settings to
-   * store, bind poll interval which fetches device data, fetch initial data.
+   * Migrate location id from settings to store, register the capability listeners and register
+   * with the poller of the OAuth2 session which fetches the device data.
    * @returns {Promise<void>}
    */
   async onOAuth2Init() {
@@ -19,57 +86,74 @@ class HoneywellLyricDevice extends OAuth2Device {
     // Migrate location id from settings to store if necessary
     await this._migrateLocationIdFromSettingsToStore();
 
-    // Bind rate limit listener to client
-    this.oAuth2Client.on('rateLimited', this.onRateLimited.bind(this));
+    // Replace the legacy mode capability by thermostat_mode
+    await this._migrateModeCapability();
 
-    const capabilities = ['target_temperature'];
+    // Add or remove capabilities when the modes or fan of the device changed after pairing
+    await this._migrateCapabilities();
 
-    if (this.hasCapability('target_temperature.cool')) {
-      capabilities.push('target_temperature.cool');
-    }
-    if (this.hasCapability('custom_thermostat_mode')) {
-      capabilities.push('custom_thermostat_mode');
-    }
-    if (this.hasCapability('custom_ac_mode')) {
-      capabilities.push('custom_ac_mode');
-    }
+    const capabilities = [
+      'target_temperature',
+      'target_temperature.cool',
+      'thermostat_mode',
+      'custom_auto_changeover',
+    ].filter(capabilityId => this.hasCapability(capabilityId));
 
     this.registerMultipleCapabilityListener(capabilities, this.onMultipleCapabilities.bind(this));
 
+    // Bound again after a repair, confirmations of new writes run until the next unbind
+    this._unbound = false;
+
+    // Coalesce thermostat changes that follow each other quickly into one write
+    this._thermostatWriteQueue = new HoneywellWriteQueue({
+      homey: this.homey,
+      write: ({ capabilityValues, hold }) => this._writeThermostat(capabilityValues, hold),
+      merge: (pending, change) => ({
+        capabilityValues: { ...pending.capabilityValues, ...change.capabilityValues },
+        hold: { ...pending.hold, ...change.hold },
+      }),
+    });
+
     if (this.hasCapability('fan_mode')) {
       this.registerCapabilityListener('fan_mode', this.onFanCapability.bind(this));
-    }
 
-    // Set intervals
-    this.pollInterval = this.homey.setInterval(this._fetchDeviceData.bind(this), POLL_INTERVAL);
+      // Continue a fan timer that was running before a restart, or restore the fan mode when it
+      // ended meanwhile
+      await this._applyFanTimer().catch(this.error);
+    }
 
-    // Get initial data
-    await this._fetchDeviceData();
+    await super.onOAuth2Init();
   }
 
   /**
-   * Clear running interval when device is deleted.
+   * Also cancels pending thermostat writes and the next change of the fan timer.
+   * @private
    */
-  onOAuth2Deleted() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
+  _unbindClient() {
+    super._unbindClient();
+    this._unbound = true;
+    if (this._thermostatWriteQueue) {
+      this._thermostatWriteQueue.destroy();
     }
-
-    this.log('onOAuth2Deleted()');
+    this._clearFanTimeout();
   }
 
   /**
-   * Event handler for rate limited API calls
+   * Drops the queued command when the command queue is disabled.
+   * @param {Object} newSettings
+   * @param {Array<String>} changedKeys
+   * @returns {Promise<void>}
    */
-  onRateLimited() {
-    this.log('onRateLimited()');
-    this.setUnavailable(this.homey.__('rateLimited'));
+  async onSettings({ newSettings, changedKeys }) {
+    if (changedKeys.includes('queue_commands') && !newSettings.queue_commands) {
+      await this.unsetStoreValue('queuedCommand');
+    }
   }
 
   /**
-   * Migrates tokens from settings to homey-oauth2 format
-   * TODO in the future maybe join sessions with same tokens (in the case of multiple devices on
-   * the same OAuth2 account)
+   * Migrates tokens from settings to homey-oauth2 format. Devices with the same tokens get the
+   * same session, the session id is derived from the refresh token. Otherwise each session would
+   * refresh the shared token on its own, invalidating it for the others.
    * @returns {{sessionId: *, configId: *, token: OAuth2Token}}
    */
   onOAuth2Migrate() {
@@ -86,7 +170,8 @@ class HoneywellLyricDevice extends OAuth2Device {
       refresh_token: settingRefreshToken,
     });
 
-    const sessionId = OAuth2Util.getRandomId();
+    const hash = crypto.createHash('sha256').update(settingRefreshToken).digest('hex');
+    const sessionId = `legacy-${hash.slice(0, 16)}`;
     const configId = this.driver.getOAuth2ConfigId();
 
     this.log('onOAuth2Migrate() -> migration succeeded', {
@@ -126,13 +211,151 @@ class HoneywellLyricDevice extends OAuth2Device {
   }
 
   /**
-   * Getter for locationId property in store.
-   * @returns {string|*}
+   * Devices paired before showed their mode with custom_thermostat_mode or custom_ac_mode. Replaces
+   * these by thermostat_mode, limited to the modes the legacy capability offered, and carries over
+   * the current mode. The modes of the device replace these once it could be fetched.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _migrateModeCapability() {
+    const legacyCapabilityId = LEGACY_MODE_CAPABILITIES
+      .find(capabilityId => this.hasCapability(capabilityId));
+    if (!legacyCapabilityId) return;
+
+    const modes = getLegacyCapabilityModes(
+      legacyCapabilityId, this.getCapabilityOptions(legacyCapabilityId) || {},
+    );
+    const mode = fromLegacyModeValue(
+      legacyCapabilityId, this.getCapabilityValue(legacyCapabilityId),
+    );
+
+    if (!this.hasCapability('thermostat_mode')) {
+      await this.addCapability('thermostat_mode');
+    }
+    await this.setCapabilityOptions('thermostat_mode', getModeCapabilityOptions({ modes }));
+    if (mode) {
+      await this.setCapabilityValue('thermostat_mode', toThermostatMode(mode)).catch(this.error);
+    }
+    if (!this.getStoreValue('allowedModes')) {
+      await this.setStoreValue('allowedModes', modes);
+    }
+
+    for (const capabilityId of LEGACY_MODE_CAPABILITIES) {
+      if (this.hasCapability(capabilityId)) await this.removeCapability(capabilityId);
+    }
+    this.log(`_migrateModeCapability() -> replaced ${legacyCapabilityId} by thermostat_mode`, modes);
+  }
+
+  /**
+   * Compares the capabilities with the ones the driver would give the device when it was paired
+   * now, and adds, removes or updates capabilities accordingly. This way devices pick up modes or a
+   * fan enabled by an installer, and capabilities added to the app, without re-pairing. Runs
+   * before the capability listeners are registered.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _migrateCapabilities() {
+    let deviceData;
+    try {
+      deviceData = await this._getDefinitionDeviceData();
+    } catch (err) {
+      this.error('_migrateCapabilities() -> failed to get device', err);
+    }
+
+    // Without device data only add the capabilities that every thermostat supports
+    if (!deviceData) {
+      for (const capabilityId of HOLD_CAPABILITIES) {
+        if (!this.hasCapability(capabilityId)) {
+          await this.addCapability(capabilityId);
+          this.log(`_migrateCapabilities() -> added ${capabilityId}`);
+        }
+      }
+      return;
+    }
+
+    const { capabilities, capabilitiesOptions } = this.driver.getCapabilities(deviceData);
+
+    if (Array.isArray(deviceData.allowedModes)
+      && JSON.stringify(deviceData.allowedModes) !== JSON.stringify(this.getStoreValue('allowedModes'))) {
+      await this.setStoreValue('allowedModes', deviceData.allowedModes);
+      this.log('_migrateCapabilities() -> updated allowedModes', deviceData.allowedModes);
+    }
+
+    for (const [capabilityId, keys] of Object.entries(MODE_CAPABILITIES)) {
+      if (!this.hasCapability(capabilityId) || capabilities.includes(capabilityId)) continue;
+
+      const hasData = keys.every(key => (key === 'allowedModes'
+        ? Array.isArray(deviceData[key])
+        : !!deviceData[key] && typeof deviceData[key] === 'object'));
+      if (!hasData) {
+        this.log(`_migrateCapabilities() -> keeping ${capabilityId}, device data is incomplete`);
+        continue;
+      }
+
+      await this.removeCapability(capabilityId);
+      this.log(`_migrateCapabilities() -> removed ${capabilityId}`);
+    }
+
+    for (const capabilityId of capabilities) {
+      if (!this.hasCapability(capabilityId)) {
+        await this.addCapability(capabilityId);
+        this.log(`_migrateCapabilities() -> added ${capabilityId}`);
+      }
+
+      const options = capabilitiesOptions[capabilityId];
+      if (!options) continue;
+
+      const currentOptions = this.getCapabilityOptions(capabilityId) || {};
+      const changed = Object.keys(options)
+        .filter(key => JSON.stringify(options[key]) !== JSON.stringify(currentOptions[key]));
+      if (changed.length > 0) {
+        await this.setCapabilityOptions(capabilityId, { ...currentOptions, ...options });
+        this.log(`_migrateCapabilities() -> updated ${changed.join(', ')} of ${capabilityId}`);
+      }
+    }
+  }
+
+  /**
+   * Returns the device data that defines the capabilities, from the locations shared by the
+   * devices of the session. Returns undefined while rate limited.
+   * @returns {Promise<Object|undefined>}
+   * @private
+   */
+  async _getDefinitionDeviceData() {
+    if (this.oAuth2Client.isRateLimited()) return undefined;
+
+    const locations = await this.oAuth2Client.getPoller().getLocations();
+    const result = findLocationDevice(locations, {
+      locationId: this.getLocationId(), deviceId: this.getData().id,
+    });
+    if (result) return result.device;
+
+    return this.oAuth2Client.getDevice({
+      locationId: this.getLocationId(), deviceId: this.getData().id,
+    });
+  }
+
+  /**
+   * Adds the sensor capabilities for the values the device reports, for devices paired before
+   * these were supported. Runs on the first data received after init.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
    */
-  getLocationId() {
-    const locationId = this.getStoreValue('locationId');
-    if (typeof locationId !== 'string') throw new Error('invalid_location_id_in_store');
-    return locationId;
+  async _migrateSensorCapabilities(deviceData) {
+    if (this._sensorCapabilitiesMigrated) return;
+    this._sensorCapabilitiesMigrated = true;
+
+    const { capabilities, capabilitiesOptions } = this.driver.getSensorCapabilities(deviceData);
+    for (const capabilityId of capabilities) {
+      if (this.hasCapability(capabilityId)) continue;
+
+      await this.addCapability(capabilityId);
+      if (capabilitiesOptions[capabilityId]) {
+        await this.setCapabilityOptions(capabilityId, capabilitiesOptions[capabilityId]);
+      }
+      this.log(`_migrateSensorCapabilities() -> added ${capabilityId}`);
+    }
   }
 
   /**
@@ -143,291 +366,1217 @@ class HoneywellLyricDevice extends OAuth2Device {
    * @returns {Promise<*>}
    */
   async onMultipleCapabilities(capabilityValues, opts) {
+    const result = await this._setThermostat(capabilityValues);
+    this._triggerCapabilityChanges(capabilityValues);
+    return result;
+  }
+
+  /**
+   * Queues changed capability values to be sent to the thermostat, changes queued shortly after
+   * each other are sent together. Resolves when the write that includes the change is done.
+   * @param {Object} capabilityValues
+   * @param {Object} [hold] - { thermostatSetpointStatus, nextPeriodTime, mode }, see
+   * _writeThermostat
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _setThermostat(capabilityValues, hold = {}) {
+    if (this._shouldQueueCommand()) {
+      return this._queueCommand({ capabilityValues, hold });
+    }
+    return this._thermostatWriteQueue.push({ capabilityValues, hold });
+  }
+
+  /**
+   * Sends changed capability values to the thermostat. Setpoint changes are held until the next
+   * schedule period unless a different hold is provided. Setpoints are validated against the
+   * limits of the device first.
+   * @param {Object} capabilityValues
+   * @param {String} [thermostatSetpointStatus] - Overrides the hold
+   * @param {String} [nextPeriodTime] - End of a HoldUntil hold, HH:MM:SS in the location's time
+   * @param {String} [mode] - Honeywell mode, for modes thermostat_mode has no value for
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _writeThermostat(capabilityValues, {
+    thermostatSetpointStatus: hold, nextPeriodTime, mode: requestedMode,
+  } = {}) {
     let heatSetpoint;
     let coolSetpoint;
-    let mode;
+    let mode = requestedMode;
+    let autoChangeoverActive;
     let thermostatSetpointStatus = 'PermanentHold';
+    const changed = {};
 
-    // set the defaults for the target_temperature
-    heatSetpoint = this.getCapabilityValue('target_temperature');
+    // set the defaults for the target_temperature, cool only thermostats keep the heating setpoint
+    // of the device
+    if (this.hasCapability('target_temperature')) {
+      heatSetpoint = this.getCapabilityValue('target_temperature');
+    }
 
     if (this.hasCapability('target_temperature.cool')) {
       coolSetpoint = this.getCapabilityValue('target_temperature.cool');
-    } else {
-      coolSetpoint = heatSetpoint;
     }
 
-    if (typeof capabilityValues['target_temperature'] === 'number') {
-      heatSetpoint = this._transformTemperature(capabilityValues['target_temperature']);
+    if (this.hasCapability('target_temperature') && typeof capabilityValues['target_temperature'] === 'number') {
+      heatSetpoint = capabilityValues['target_temperature'];
+      changed.heat = true;
       thermostatSetpointStatus = 'HoldUntil';
     }
 
     if (this.hasCapability('target_temperature.cool') && typeof capabilityValues['target_temperature.cool'] === 'number') {
-      coolSetpoint = this._transformTemperature(capabilityValues['target_temperature.cool']);
+      coolSetpoint = capabilityValues['target_temperature.cool'];
+      changed.cool = true;
       thermostatSetpointStatus = 'HoldUntil';
     }
 
     // Thermostat mode
-    if (this.hasCapability('custom_thermostat_mode') && typeof capabilityValues['custom_thermostat_mode'] === 'string') {
-      const newMode = capabilityValues['custom_thermostat_mode'] || 'heat';
-
-      this.homey.flow.getDeviceTriggerCard('thermostat_mode_changed')
-        .trigger(this, null, { thermostat_mode: newMode })
-        .catch(this.error);
+    if (typeof capabilityValues['thermostat_mode'] === 'string') {
+      mode = fromThermostatMode(capabilityValues['thermostat_mode']);
+    }
 
-      mode = (newMode === 'heat') ? 'Heat' : 'Off';
+    // Auto changeover, only sent when it changed
+    if (typeof capabilityValues['custom_auto_changeover'] === 'boolean') {
+      autoChangeoverActive = capabilityValues['custom_auto_changeover'];
     }
 
-    // AC mode
-    if (this.hasCapability('custom_ac_mode') && typeof capabilityValues['custom_ac_mode'] === 'string') {
-      mode = capabilityValues['custom_ac_mode'];
+    if (typeof hold === 'string') {
+      thermostatSetpointStatus = hold;
     }
 
-    return this.oAuth2Client.setThermostat({
-      locationId: this.getLocationId(),
-      deviceId: this.getData().id,
+    ({ heatSetpoint, coolSetpoint } = this._validateSetpoints({
       heatSetpoint,
       coolSetpoint,
+      changed,
+      mode: mode || this.getMode(),
+    }));
+
+    const result = await this.oAuth2Client.setThermostat({
+      locationId: this.getLocationId(),
+      deviceId: this.getData().id,
+      heatSetpoint: this._transformTemperature(heatSetpoint),
+      coolSetpoint: this._transformTemperature(typeof coolSetpoint === 'number' ? coolSetpoint : heatSetpoint),
       mode,
       thermostatSetpointStatus,
+      nextPeriodTime,
+      autoChangeoverActive,
+      deviceData: this._getRecentDeviceData(),
     });
+
+    // The polled data no longer reflects the thermostat
+    this._recentDeviceData = null;
+    if (typeof mode === 'string') this._updateMode(mode);
+
+    const attempted = {};
+    if (typeof heatSetpoint === 'number') attempted['target_temperature'] = heatSetpoint;
+    if (typeof coolSetpoint === 'number') attempted['target_temperature.cool'] = coolSetpoint;
+    if (typeof mode === 'string') attempted.mode = mode;
+    if (typeof autoChangeoverActive === 'boolean') attempted.autoChangeoverActive = autoChangeoverActive;
+    this._confirmThermostatWrite(attempted).catch(this.error);
+
+    // Show the setpoint that was pushed out to keep the cooling setpoint above the heating setpoint
+    if (!changed.heat && typeof heatSetpoint === 'number'
+      && heatSetpoint !== this.getCapabilityValue('target_temperature')) {
+      await this.setCapabilityValue('target_temperature', heatSetpoint).catch(this.error);
+    }
+    if (!changed.cool && typeof coolSetpoint === 'number'
+      && coolSetpoint !== this.getCapabilityValue('target_temperature.cool')) {
+      await this.setCapabilityValue('target_temperature.cool', coolSetpoint).catch(this.error);
+    }
+
+    return result;
   }
 
   /**
-   * Listener for the Fan mide
-   *
-   * @param value
-   * @returns {Promise<*>}
+   * Returns the device data of the last poll when it is recent enough to base a write on, so the
+   * thermostat does not have to be fetched first.
+   * @returns {Object|undefined}
+   * @private
    */
-  async onFanCapability(value) {
-    return this.oAuth2Client.setFanMode({
-      locationId: this.getLocationId(),
-      deviceId: this.getData().id,
-      mode: value,
-    });
+  _getRecentDeviceData() {
+    if (this._recentDeviceData
+      && Date.now() - this._recentDeviceData.receivedAt < DEVICE_DATA_MAX_AGE) {
+      return this._recentDeviceData.deviceData;
+    }
+    return undefined;
   }
 
   /**
-   * Method that fetches device data from the API and tries to parse the measure and target
-   * temperature.
-   * @returns {Promise<void>}
+   * Validates the setpoints against the limits and deadband of the device, see validateSetpoints.
+   * Throws a localized error when the setpoints can not be used.
+   * @param {Object} setpoints
+   * @returns {{heatSetpoint: number, coolSetpoint: number}}
    * @private
    */
-  async _fetchDeviceData() {
-    this.log('_fetchDeviceData()');
+  _validateSetpoints(setpoints) {
+    const heatOptions = this.hasCapability('target_temperature')
+      ? this.getCapabilityOptions('target_temperature') || {}
+      : {};
+    const coolOptions = this.hasCapability('target_temperature.cool')
+      ? this.getCapabilityOptions('target_temperature.cool') || {}
+      : {};
 
-    // Get device object from remote API
     try {
-      const deviceData = await this.oAuth2Client.getDevice({
-        locationId: this.getLocationId(), deviceId: this.getData().id,
+      return validateSetpoints(setpoints, {
+        minHeat: heatOptions.min,
+        maxHeat: heatOptions.max,
+        minCool: coolOptions.min,
+        maxCool: coolOptions.max,
+        deadband: this.getStoreValue('deadband'),
       });
-
-      if (!Object.prototype.hasOwnProperty.call(deviceData, 'changeableValues')) {
-        this.error('_fetchDeviceData() -> expected device to have changeableValues property');
-        return;
-      }
-
-      await this._parseMeasuredTemperature(deviceData);
-      await this._parseTargetTemperature(deviceData);
-
-      if (this.hasCapability('custom_thermostat_mode')) {
-        await this._parseThermostatMode(deviceData);
-      }
-
-      if (this.hasCapability('custom_ac_mode')) {
-        await this._parseACMode(deviceData);
-      }
-
-      await this._parseAlive(deviceData);
-
-      this.log('_fetchDeviceData() -> completed');
     } catch (err) {
-      this.error('_fetchDeviceData() -> failed to get device', err);
+      if (!err.tokens) throw err;
+      this.log(`_validateSetpoints() -> ${err.code}`, setpoints);
+      throw new Error(this.homey.__(`errors.${err.code}`, err.tokens));
     }
+  }
 
-    // Get the Fan mode data
-    if (this.hasCapability('fan_mode')) {
-      try {
-        const deviceData = await this.oAuth2Client.getFan({
-          locationId: this.getLocationId(), deviceId: this.getData().id,
-        });
+  /**
+   * Flow listener, sets the active setpoint and holds it until a time of day.
+   * @param {Number} temperature
+   * @param {String} time - HH:MM in Homey's time zone
+   * @returns {Promise<void>}
+   */
+  async setHoldUntil(temperature, time) {
+    this.log(`setHoldUntil() -> ${temperature} until ${time}`);
+    return this._setHold(temperature, getNextTimeOfDay(time, this.homey.clock.getTimezone()));
+  }
 
-        await this._parseFanMode(deviceData);
+  /**
+   * Flow listener, sets the active setpoint and holds it for a number of minutes.
+   * @param {Number} temperature
+   * @param {Number} minutes
+   * @returns {Promise<void>}
+   */
+  async setHoldFor(temperature, minutes) {
+    this.log(`setHoldFor() -> ${temperature} for ${minutes} minutes`);
+    return this._setHold(temperature, new Date(Date.now() + (minutes * 60 * 1000)));
+  }
 
-        this.log('_fetchFanData() -> completed');
-      } catch (err) {
-        this.error('_fetchFanData() -> failed to get fan', err);
-      }
-    }
+  /**
+   * Flow listener, sets the active setpoint and holds it until the schedule is resumed.
+   * @param {Number} temperature
+   * @returns {Promise<void>}
+   */
+  async setPermanentHold(temperature) {
+    this.log(`setPermanentHold() -> ${temperature}`);
+    return this._setHold(temperature, null);
   }
 
   /**
-   * Methat that parsed the measure temperature from the API data, it also updates the unit
-   * setting (C/F).
-   * @param {Object} deviceData
+   * Sets the active setpoint (cooling setpoint in cool mode, heating setpoint otherwise) and holds
+   * it until end, or permanently when end is null. The end time is sent in the location's time
+   * zone, rounded up to the 15 minute increments the API accepts.
+   * @param {Number} temperature
+   * @param {Date|null} end
+   * @returns {Promise<void>}
    * @private
    */
-  async _parseMeasuredTemperature(deviceData = {}) {
-    if (!Object.prototype.hasOwnProperty.call(deviceData, 'units')) {
-      this.error('_parseMeasuredTemperature() -> expected device to have units property');
-      return;
-    }
+  async _setHold(temperature, end) {
+    const capabilityId = this._getActiveSetpointCapability();
 
-    // Determine measure temperature value based on units
-    if (deviceData.units !== UNIT_CELSIUS) {
-      deviceData.indoorTemperature = ftoc(deviceData.indoorTemperature);
+    const hold = { thermostatSetpointStatus: 'PermanentHold' };
+    if (end) {
+      hold.thermostatSetpointStatus = 'HoldUntil';
+      hold.nextPeriodTime = `${formatTime(ceilToQuarterHour(end), this.getTimeZone())}:00`;
     }
 
-    await this.setSettings({ units: deviceData.units });
-    await this.setCapabilityValue('measure_temperature', deviceData.indoorTemperature);
+    await this._setThermostat({ [capabilityId]: temperature }, hold);
+    await this.setCapabilityValue(capabilityId, temperature);
+    await this._parseHoldStatus({ changeableValues: hold });
   }
 
   /**
-   * Method that parsed the API data to determine the set target temperature.
-   * @param {Object} deviceData
+   * Returns the setpoint capability that is currently in control, the cooling setpoint of cool
+   * only thermostats is always in control.
+   * @returns {string}
    * @private
    */
-  async _parseTargetTemperature(deviceData = {}) {
-    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'mode')) {
-      this.error('_parseTargetTemperature() -> expected device.changeableValues to have mode property');
-      return;
-    }
-
-    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'heatSetpoint')) {
-      this.error('_parseTargetTemperature() -> expected device.changeableValues to have heatSetpoint property');
-      return;
-    }
-
-    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'coolSetpoint')) {
-      this.error('_parseTargetTemperature() -> expected device.changeableValues to have coolSetpoint property');
-      return;
+  _getActiveSetpointCapability() {
+    if (this.hasCapability('target_temperature.cool')
+      && (this.getMode() === 'Cool'
+        || !this.hasCapability('target_temperature'))) {
+      return 'target_temperature.cool';
     }
+    return 'target_temperature';
+  }
 
-    // Set target temperature according to heat or cool mode depending on mode property
-    await this.setCapabilityValue('target_temperature', deviceData.changeableValues.heatSetpoint);
-
-    if (this.hasCapability('target_temperature.cool')) {
-      await this.setCapabilityValue('target_temperature.cool', deviceData.changeableValues.coolSetpoint);
-    }
+  /**
+   * Listener for the Fan mide, a fan mode set by the user stops the fan timer.
+   *
+   * @param value
+   * @returns {Promise<*>}
+   */
+  async onFanCapability(value) {
+    await this._cancelFanTimer();
+    const result = await this._sendFanMode(value);
+    this._triggerCapabilityChanges({ fan_mode: value });
+    return result;
   }
 
   /**
-   * Method that parsed the API data to determine the thermostat mode.
-   * @param {Object} deviceData
+   * Sends the fan mode to the thermostat, or queues it when the thermostat can not be reached.
+   * @param {String} mode
+   * @returns {Promise<*>}
    * @private
    */
-  async _parseThermostatMode(deviceData = {}) {
-    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'mode')) {
-      this.error('_parseThermostatMode() -> expected device.changeableValues to have mode property');
-      return;
-    }
-
-    const mode = deviceData.changeableValues.mode.toLowerCase();
-
-    // Check if thermostat mode value changed, then trigger flow
-    if (this.getCapabilityValue('custom_thermostat_mode') !== mode) {
-      this.homey.flow.getDeviceTriggerCard('thermostat_mode_changed')
-        .trigger(this, {}, { thermostat_mode: mode })
-        .catch(this.error);
-    }
-
-    await this.setCapabilityValue('custom_thermostat_mode', mode)
-      .catch(this.error);
+  async _sendFanMode(mode) {
+    return this._shouldQueueCommand()
+      ? this._queueCommand({ fanMode: mode })
+      : this._writeFanMode(mode);
   }
 
   /**
-   * Method that parsed the API data to determine the thermostat mode.
-   * @param {Object} deviceData
-   * @private
+   * Flow listener, runs the fan for a number of minutes and restores the fan mode afterwards.
+   * @param {Number} minutes
+   * @returns {Promise<void>}
    */
-  async _parseACMode(deviceData = {}) {
-    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'mode')) {
-      this.error('_parseACMode() -> expected device.changeableValues to have mode property');
-      return;
-    }
+  async runFanFor(minutes) {
+    this.log(`runFanFor() -> ${minutes} minutes`);
+    await this.setStoreValue('fanTimer', startFanRun(
+      this.getStoreValue('fanTimer'), this._getFanModeToRestore(), { minutes, now: Date.now() },
+    ));
+    await this._applyFanTimer();
+  }
 
-    const { mode } = deviceData.changeableValues;
-    await this.setCapabilityValue('custom_ac_mode', mode)
-      .catch(this.error);
+  /**
+   * Flow listener, runs the fan for a number of minutes every hour until the fan timer is stopped.
+   * @param {Number} minutesPerHour
+   * @returns {Promise<void>}
+   */
+  async circulateFan(minutesPerHour) {
+    this.log(`circulateFan() -> ${minutesPerHour} minutes every hour`);
+    await this.setStoreValue('fanTimer', startFanCirculation(
+      this.getStoreValue('fanTimer'), this._getFanModeToRestore(), { minutesPerHour, now: Date.now() },
+    ));
+    await this._applyFanTimer();
   }
 
   /**
-   * Method that parses the API data to determine if device is alive (connected to internet).
-   * @param {Object} deviceData
+   * Flow listener, stops the fan timer and restores the fan mode from before the timer.
    * @returns {Promise<void>}
-   * @private
    */
-  async _parseAlive(deviceData = {}) {
-    // Check if device is alive (online)
-    if (!Object.prototype.hasOwnProperty.call(deviceData, 'isAlive')) {
-      this.error('_parseAlive() -> expected device to have isAlive property');
+  async stopFanTimer() {
+    const timer = await this._cancelFanTimer();
+    if (!timer) return;
+
+    this.log(`stopFanTimer() -> restoring ${timer.restoreMode}`);
+    if (timer.appliedMode !== timer.restoreMode) {
+      await this._sendFanMode(timer.restoreMode);
+      this._triggerCapabilityChanges({ fan_mode: timer.restoreMode });
+      await this.setCapabilityValue('fan_mode', timer.restoreMode).catch(this.error);
     }
-
-    // Set (un)available if necessary
-    if (this.getAvailable() === false && deviceData.isAlive) await this.setAvailable();
-    if (this.getAvailable() === true && !deviceData.isAlive) await this.setUnavailable(this.homey.__('unavailable'));
   }
 
   /**
-   * Method that parses the API data for the Fan mode
-   *
-   * @param deviceData
+   * Sets the fan mode the fan timer wants now, see HoneywellFanTimer, and schedules the next
+   * change. The mode is only sent when it changes, so a fan mode changed on the thermostat itself
+   * is left alone until the next change. A mode that could not be sent is retried on the next poll.
    * @returns {Promise<void>}
    * @private
    */
-  async _parseFanMode(deviceData) {
-    if (!Object.prototype.hasOwnProperty.call(deviceData, 'mode')) {
-      this.error('_parseThermostatMode() -> expected device to have mode property');
+  async _applyFanTimer() {
+    this._clearFanTimeout();
+
+    const timer = this.getStoreValue('fanTimer');
+    if (!timer || !this.hasCapability('fan_mode')) return;
+
+    const { mode, nextChangeAt, done } = getFanTimerState(timer, Date.now());
+    if (mode !== timer.appliedMode) {
+      await this._sendFanMode(mode);
+      this.log(`_applyFanTimer() -> ${timer.type} timer set the fan to ${mode}`);
+      this._triggerCapabilityChanges({ fan_mode: mode });
+      await this.setCapabilityValue('fan_mode', mode).catch(this.error);
+    }
+
+    if (done) {
+      await this.unsetStoreValue('fanTimer');
       return;
     }
 
-    await this.setCapabilityValue('fan_mode', deviceData.mode)
-      .catch(this.error);
+    if (mode !== timer.appliedMode) {
+      await this.setStoreValue('fanTimer', { ...timer, appliedMode: mode });
+    }
+    this._fanTimeout = this.homey.setTimeout(() => {
+      this._applyFanTimer().catch(this.error);
+    }, Math.max(nextChangeAt - Date.now(), 0));
   }
 
+  /**
+   * Removes the fan timer without restoring the fan mode.
+   * @returns {Promise<Object|null>} - The removed timer
+   * @private
+   */
+  async _cancelFanTimer() {
+    this._clearFanTimeout();
+    const timer = this.getStoreValue('fanTimer');
+    if (timer) await this.unsetStoreValue('fanTimer');
+    return timer;
+  }
 
   /**
-   * Capability listener for custom_thermostat_mode set.
-   * @param value
-   * @returns {Promise<void>}
+   * Cancels the scheduled change of the fan timer.
+   * @private
    */
-  async setCustomThermostatMode(value) {
-    this.log(`setCustomThermostatMode() -> ${value}`);
-    this.triggerCapabilityListener('custom_thermostat_mode', value);
+  _clearFanTimeout() {
+    if (this._fanTimeout) {
+      this.homey.clearTimeout(this._fanTimeout);
+      this._fanTimeout = null;
+    }
   }
 
   /**
-   * Capability listener for custom_ac_mode set.
-   * @param value
-   * @returns {Promise<void>}
+   * Returns the fan mode to restore when a fan timer ends.
+   * @returns {String}
+   * @private
    */
-  async setCustomACMode(value) {
-    this.log(`setCustomACMode() -> ${value}`);
-    this.triggerCapabilityListener('custom_ac_mode', value);
+  _getFanModeToRestore() {
+    return this.getCapabilityValue('fan_mode') || 'Auto';
   }
 
   /**
-   * Flow listener for temperature cool setpoint.
-   * @param value
-   * @returns {Promise<void>}
+   * Sends the fan mode to the thermostat and confirms it was taken.
+   * @param {String} mode
+   * @returns {Promise<*>}
+   * @private
    */
-  async setCoolSetpoint(value) {
-    this.log(`setCoolSetpoint() -> ${value}`);
-    this.triggerCapabilityListener('target_temperature.cool', value);
+  async _writeFanMode(mode) {
+    const result = await this.oAuth2Client.setFanMode({
+      locationId: this.getLocationId(),
+      deviceId: this.getData().id,
+      mode,
+    });
+    this._confirmFanWrite(mode).catch(this.error);
+    return result;
   }
 
   /**
-   * Capability listener for custom_ac_mode set.
-   * @param value
-   * @returns {Promise<void>}
+   * Returns true when changes should be queued instead of sent: the command queue is enabled in
+   * the settings and the thermostat is offline or the account is rate limited.
+   * @returns {boolean}
+   * @private
    */
-  async setFanMode(value) {
-    this.log(`setFanMode() -> ${value}`);
-    this.triggerCapabilityListener('fan_mode', value);
+  _shouldQueueCommand() {
+    if (this.getSetting('queue_commands') !== true) return false;
+    return this._alive === false || this.oAuth2Client.isRateLimited();
   }
 
   /**
-   * Listener for the resume schedule Flow
+   * Keeps the command in the store until the thermostat can be reached, see HoneywellCommandQueue.
+   * @param {Object} command - { capabilityValues, hold, fanMode }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _queueCommand(command) {
+    const expiry = this.getSetting('queue_expiry') || DEFAULT_QUEUE_EXPIRY;
+    const queued = queueCommand(this.getStoreValue('queuedCommand'), command, {
+      now: Date.now(),
+      expiry: expiry * 60 * 1000,
+    });
+    await this.setStoreValue('queuedCommand', queued);
+    this.log(`_queueCommand() -> thermostat can not be reached, queued ${describeCommand(queued)}`);
+  }
+
+  /**
+   * Drops the queued command when it expired, or sends it once the thermostat is alive and the
+   * account is no longer rate limited. A command that fails is kept for the next poll.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyQueuedCommand() {
+    const command = this.getStoreValue('queuedCommand');
+    if (!command) return;
+
+    const tokens = {
+      command: describeCommand(command),
+      queued_minutes: Math.round((Date.now() - command.queuedAt) / 60000),
+    };
+
+    if (isCommandExpired(command, Date.now())) {
+      await this.unsetStoreValue('queuedCommand');
+      this.log(`_applyQueuedCommand() -> dropped expired command ${tokens.command}`);
+      this.homey.flow.getDeviceTriggerCard('queued_command_expired')
+        .trigger(this, tokens)
+        .catch(this.error);
+      return;
+    }
+
+    if (this._alive !== true || this.oAuth2Client.isRateLimited()) return;
+
+    // Remove it first, commands queued meanwhile are not overwritten
+    await this.unsetStoreValue('queuedCommand');
+
+    const { capabilityValues, hold, fanMode } = command;
+    try {
+      if (Object.keys(capabilityValues).length) {
+        await this._thermostatWriteQueue.push({ capabilityValues, hold });
+        for (const capabilityId of Object.keys(capabilityValues)) {
+          await this.setCapabilityValue(capabilityId, capabilityValues[capabilityId])
+            .catch(this.error);
+        }
+      }
+      if (typeof fanMode === 'string') {
+        await this._writeFanMode(fanMode);
+        await this.setCapabilityValue('fan_mode', fanMode).catch(this.error);
+      }
+    } catch (err) {
+      this.error('_applyQueuedCommand() -> failed, retrying on the next poll', err);
+      if (!this.getStoreValue('queuedCommand')) {
+        await this.setStoreValue('queuedCommand', command);
+      }
+      return;
+    }
+
+    this.log(`_applyQueuedCommand() -> applied ${tokens.command}`);
+    this.homey.flow.getDeviceTriggerCard('queued_command_applied')
+      .trigger(this, tokens)
+      .catch(this.error);
+  }
+
+  /**
+   * Confirms that the thermostat took the written values, see _confirmWrite.
+   * @param {Object} attempted - Setpoints in Celsius by capability id, the mode and auto changeover
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _confirmThermostatWrite(attempted) {
+    await this._confirmWrite({
+      key: 'thermostat',
+      read: () => this.oAuth2Client.getDevice({
+        locationId: this.getLocationId(), deviceId: this.getData().id,
+      }),
+      getMismatches: (deviceData = {}) => {
+        const { changeableValues = {}, units } = deviceData;
+        const mismatches = [];
+
+        ['target_temperature', 'target_temperature.cool'].forEach(capabilityId => {
+          if (typeof attempted[capabilityId] !== 'number') return;
+
+          const actual = capabilityId === 'target_temperature'
+            ? changeableValues.heatSetpoint
+            : changeableValues.coolSetpoint;
+          if (this._transformTemperature(attempted[capabilityId]) !== actual) {
+            mismatches.push({
+              capabilityId,
+              attempted: attempted[capabilityId],
+              actual: toCelsius(actual, units),
+            });
+          }
+        });
+
+        if (typeof attempted.mode === 'string' && attempted.mode !== changeableValues.mode) {
+          mismatches.push({
+            capabilityId: 'thermostat_mode',
+            attempted: attempted.mode,
+            actual: changeableValues.mode,
+          });
+        }
+
+        if (typeof attempted.autoChangeoverActive === 'boolean'
+          && attempted.autoChangeoverActive !== changeableValues.autoChangeoverActive) {
+          mismatches.push({
+            capabilityId: 'custom_auto_changeover',
+            attempted: attempted.autoChangeoverActive,
+            actual: changeableValues.autoChangeoverActive,
+          });
+        }
+
+        return mismatches;
+      },
+      rollback: deviceData => this._parseDeviceData(deviceData),
+    });
+  }
+
+  /**
+   * Confirms that the thermostat took the written fan mode, see _confirmWrite.
+   * @param {String} mode
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _confirmFanWrite(mode) {
+    await this._confirmWrite({
+      key: 'fan',
+      read: () => this.oAuth2Client.getFan({
+        locationId: this.getLocationId(), deviceId: this.getData().id,
+      }),
+      getMismatches: (fanData = {}) => (fanData.mode === mode ? [] : [{
+        capabilityId: 'fan_mode', attempted: mode, actual: fanData.mode,
+      }]),
+      rollback: fanData => this._parseFanMode(fanData),
+    });
+  }
+
+  /**
+   * The API sometimes accepts a write that the thermostat then ignores. Reads the device back
+   * until it matches the written values, when it still does not match after the last read the
+   * capabilities are rolled back to the actual values and a Flow is triggered for every value
+   * that was not taken. A newer write with the same key cancels the confirmation.
+   * @param {String} key - Kind of write
+   * @param {Function} read - Fetches the device data
+   * @param {Function} getMismatches - Returns [{ capabilityId, attempted, actual }] for the data
+   * @param {Function} rollback - Parses the data into the capabilities
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _confirmWrite({
+    key, read, getMismatches, rollback,
+  }) {
+    this._confirmations = this._confirmations || {};
+    const confirmation = {};
+    this._confirmations[key] = confirmation;
+    const isCancelled = () => this._unbound || this._confirmations[key] !== confirmation;
+
+    let data;
+    let mismatches = [];
+
+    for (const delay of CONFIRM_DELAYS) {
+      await new Promise(resolve => this.homey.setTimeout(resolve, delay));
+      if (isCancelled()) return;
+
+      try {
+        data = await read();
+      } catch (err) {
+        this.error('_confirmWrite() -> failed to read device', err);
+        continue;
+      }
+
+      mismatches = getMismatches(data);
+      if (mismatches.length === 0) return;
+    }
+
+    // Nothing could be read, the next poll will show the actual values
+    if (!data || isCancelled()) return;
+
+    for (const { capabilityId, attempted, actual } of mismatches) {
+      this.error(`_confirmWrite() -> warning: ${capabilityId} was set to ${attempted} but the thermostat reports ${actual}, rolling back`);
+      this.homey.flow.getDeviceTriggerCard('command_failed')
+        .trigger(this, {
+          capability: capabilityId,
+          attempted: String(attempted),
+          actual: String(actual),
+        })
+        .catch(this.error);
+    }
+
+    await rollback(data);
+  }
+
+  /**
+   * Sets a capability value from polled data and fires its change trigger when the value differs
+   * from the previous one, so changes made on the thermostat itself or in the Honeywell app
+   * start flows as well. The first value after pairing does not fire a trigger.
+   * @param {String} capabilityId
+   * @param {*} value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setPolledCapabilityValue(capabilityId, value) {
+    const previousValue = this.getCapabilityValue(capabilityId);
+    await this.setCapabilityValue(capabilityId, value)
+      .catch(this.error);
+
+    if (previousValue !== null) {
+      this._triggerCapabilityChanges({ [capabilityId]: value }, { [capabilityId]: previousValue });
+    }
+  }
+
+  /**
+   * Fires the change triggers of the capabilities whose value differs from the previous value.
+   * @param {Object} capabilityValues - New values by capability id
+   * @param {Object} [previousValues] - Previous values, defaults to the current capability values
+   * @private
+   */
+  _triggerCapabilityChanges(capabilityValues, previousValues = {}) {
+    Object.keys(capabilityValues).forEach(capabilityId => {
+      const triggers = CAPABILITY_CHANGE_TRIGGERS[capabilityId];
+      if (!triggers) return;
+
+      const value = capabilityValues[capabilityId];
+      const previousValue = Object.prototype.hasOwnProperty.call(previousValues, capabilityId)
+        ? previousValues[capabilityId]
+        : this.getCapabilityValue(capabilityId);
+      if (value === null || value === undefined || value === previousValue) return;
+
+      this.log(`_triggerCapabilityChanges() -> ${capabilityId} changed from ${previousValue} to ${value}`);
+      triggers.forEach(({ cardId, token }) => {
+        this.homey.flow.getDeviceTriggerCard(cardId)
+          .trigger(this, { [token]: value })
+          .catch(this.error);
+      });
+    });
+  }
+
+  /**
+   * Called by the poller with all locations of the OAuth2 session. Parses the data of this device
+   * from it, falls back to fetching the device itself if it is not part of the locations.
+   * @param {Array} locations
+   * @returns {Promise<void>}
+   */
+  async onPollLocations(locations) {
+    const result = findLocationDevice(locations, {
+      locationId: this.getLocationId(), deviceId: this.getData().id,
+    });
+
+    if (!result) {
+      this.log('onPollLocations() -> device not found in locations, fetching device');
+      await this._fetchDeviceData();
+      await this._applyQueuedCommand();
+      return;
+    }
+
+    await this._parseLocation(result.location);
+    await this._parseDeviceData(result.device);
+
+    if (this.hasCapability('fan_mode')) {
+      const { fan } = result.device.settings || {};
+      if (fan && fan.changeableValues && typeof fan.changeableValues.mode === 'string') {
+        await this._parseFanMode(fan.changeableValues);
+      } else {
+        await this._fetchFanData();
+      }
+    }
+
+    await this._refreshSchedule();
+    await this._parseSchedulePeriod();
+
+    if (this.hasCapability('custom_priority_type')) {
+      await this._refreshPriority();
+    }
+
+    await this._applyQueuedCommand();
+    await this._applyFanTimer().catch(this.error);
+  }
+
+  /**
+   * Method that fetches device data from the API and tries to parse the measure and target
+   * temperature. Only used when the device can not be found in the polled locations.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _fetchDeviceData() {
+    this.log('_fetchDeviceData()');
+
+    // Get device object from remote API
+    try {
+      const deviceData = await this.oAuth2Client.getDevice({
+        locationId: this.getLocationId(), deviceId: this.getData().id,
+      });
+
+      await this._parseDeviceData(deviceData);
+
+      this.log('_fetchDeviceData() -> completed');
+    } catch (err) {
+      this.error('_fetchDeviceData() -> failed to get device', err);
+    }
+
+    // Get the Fan mode data
+    if (this.hasCapability('fan_mode')) {
+      await this._fetchFanData();
+    }
+  }
+
+  /**
+   * Method that fetches the fan data from the API.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _fetchFanData() {
+    try {
+      const deviceData = await this.oAuth2Client.getFan({
+        locationId: this.getLocationId(), deviceId: this.getData().id,
+      });
+
+      await this._parseFanMode(deviceData);
+
+      this.log('_fetchFanData() -> completed');
+    } catch (err) {
+      this.error('_fetchFanData() -> failed to get fan', err);
+    }
+  }
+
+  /**
+   * Method that parses the device data into the capabilities.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseDeviceData(deviceData = {}) {
+    if (!Object.prototype.hasOwnProperty.call(deviceData, 'changeableValues')) {
+      this.error('_parseDeviceData() -> expected device to have changeableValues property');
+      return;
+    }
+
+    this._recentDeviceData = { deviceData, receivedAt: Date.now() };
+
+    await this._migrateSensorCapabilities(deviceData);
+    await this._parseMeasuredTemperature(deviceData);
+    await this._parseSensors(deviceData);
+    await this._parseSetpointRanges(deviceData);
+    await this._parseTargetTemperature(deviceData);
+
+    if (this.hasCapability('thermostat_mode')) {
+      await this._parseThermostatMode(deviceData);
+    }
+
+    if (this.hasCapability('custom_auto_changeover')) {
+      await this._parseAutoChangeover(deviceData);
+    }
+
+    await this._parseHoldStatus(deviceData);
+    await this._parseEquipmentStatus(deviceData);
+    await this._parseAuxHeat(deviceData);
+    await this._parseRuntime(deviceData);
+    await this._parseAlive(deviceData);
+  }
+
+  /**
+   * Methat that parsed the measure temperature from the API data, it also updates the unit
+   * setting (C/F).
+   * @param {Object} deviceData
+   * @private
+   */
+  async _parseMeasuredTemperature(deviceData = {}) {
+    if (!Object.prototype.hasOwnProperty.call(deviceData, 'units')) {
+      this.error('_parseMeasuredTemperature() -> expected device to have units property');
+      return;
+    }
+
+    // Determine measure temperature value based on units
+    const temperature = toCelsius(
+      deviceData.indoorTemperature, deviceData.units, MEASURE_TEMPERATURE_STEP,
+    );
+
+    if (this.getSetting('units') !== deviceData.units) {
+      await this.setSettings({ units: deviceData.units });
+    }
+    await this.setCapabilityValue('measure_temperature', temperature);
+  }
+
+  /**
+   * Method that parses the indoor humidity and the outdoor temperature and humidity, the outdoor
+   * temperature is converted like the indoor temperature.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseSensors(deviceData = {}) {
+    if (this.hasCapability('measure_humidity') && typeof deviceData.indoorHumidity === 'number') {
+      await this.setCapabilityValue('measure_humidity', deviceData.indoorHumidity)
+        .catch(this.error);
+    }
+
+    if (this.hasCapability('measure_temperature.outdoor') && typeof deviceData.outdoorTemperature === 'number') {
+      const temperature = toCelsius(
+        deviceData.outdoorTemperature, deviceData.units, MEASURE_TEMPERATURE_STEP,
+      );
+      await this.setCapabilityValue('measure_temperature.outdoor', temperature)
+        .catch(this.error);
+    }
+
+    if (this.hasCapability('measure_humidity.outdoor') && typeof deviceData.displayedOutdoorHumidity === 'number') {
+      await this.setCapabilityValue('measure_humidity.outdoor', deviceData.displayedOutdoorHumidity)
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Method that updates the min and max of the setpoint capabilities when the (converted) limits
+   * reported by the device differ, e.g. for devices paired before limits were converted. Stores
+   * the minimum difference between the setpoints in Auto mode (deadband) in Celsius.
+   * @param {Object} deviceData
+   * @private
+   */
+  async _parseSetpointRanges(deviceData = {}) {
+    if (typeof deviceData.deadband === 'number') {
+      const deadband = deviceData.units === UNIT_FAHRENHEIT
+        ? Math.round(((deviceData.deadband * 5) / 9) * 10) / 10
+        : deviceData.deadband;
+      if (deadband !== this.getStoreValue('deadband')) {
+        await this.setStoreValue('deadband', deadband);
+      }
+    }
+
+    const ranges = {
+      target_temperature: [deviceData.minHeatSetpoint, deviceData.maxHeatSetpoint],
+      'target_temperature.cool': [deviceData.minCoolSetpoint, deviceData.maxCoolSetpoint],
+    };
+
+    for (const [capabilityId, [min, max]] of Object.entries(ranges)) {
+      if (!this.hasCapability(capabilityId) || !min || !max) continue;
+
+      const options = this.getCapabilityOptions(capabilityId) || {};
+      const newOptions = {
+        ...options,
+        min: toCelsius(min, deviceData.units),
+        max: toCelsius(max, deviceData.units),
+        step: 0.5,
+      };
+
+      if (options.min !== newOptions.min || options.max !== newOptions.max) {
+        this.log(`_parseSetpointRanges() -> ${capabilityId} range ${newOptions.min}-${newOptions.max}`);
+        await this.setCapabilityOptions(capabilityId, newOptions);
+      }
+    }
+  }
+
+  /**
+   * Method that parsed the API data to determine the set target temperature.
+   * @param {Object} deviceData
+   * @private
+   */
+  async _parseTargetTemperature(deviceData = {}) {
+    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'mode')) {
+      this.error('_parseTargetTemperature() -> expected device.changeableValues to have mode property');
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'heatSetpoint')) {
+      this.error('_parseTargetTemperature() -> expected device.changeableValues to have heatSetpoint property');
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'coolSetpoint')) {
+      this.error('_parseTargetTemperature() -> expected device.changeableValues to have coolSetpoint property');
+      return;
+    }
+
+    // Set target temperature according to heat or cool mode depending on mode property
+    const { units } = deviceData;
+    const { heatSetpoint, coolSetpoint } = deviceData.changeableValues;
+    if (this.hasCapability('target_temperature')) {
+      await this.setCapabilityValue('target_temperature', toCelsius(heatSetpoint, units));
+    }
+
+    if (this.hasCapability('target_temperature.cool')) {
+      await this._setPolledCapabilityValue('target_temperature.cool', toCelsius(coolSetpoint, units));
+    }
+  }
+
+  /**
+   * Method that parsed the API data to determine the thermostat mode.
+   * @param {Object} deviceData
+   * @private
+   */
+  async _parseThermostatMode(deviceData = {}) {
+    if (!Object.prototype.hasOwnProperty.call(deviceData.changeableValues, 'mode')) {
+      this.error('_parseThermostatMode() -> expected device.changeableValues to have mode property');
+      return;
+    }
+
+    // Keep the Honeywell mode, thermostat_mode shows emergency heat as heat
+    const { mode } = deviceData.changeableValues;
+    this._updateMode(mode);
+
+    const value = toThermostatMode(mode);
+    if (!value) {
+      this.error(`_parseThermostatMode() -> unknown mode ${mode}`);
+      return;
+    }
+    await this._setPolledCapabilityValue('thermostat_mode', value);
+  }
+
+  /**
+   * Keeps the Honeywell mode and fires the legacy mode triggers when it changed. These follow the
+   * Honeywell mode rather than thermostat_mode, so a switch between heat and emergency heat fires
+   * them too. The first mode after initialization does not fire them.
+   * @param {String} mode
+   * @private
+   */
+  _updateMode(mode) {
+    const previousMode = this._mode;
+    this._mode = mode;
+    if (typeof previousMode !== 'string' || mode === previousMode) return;
+
+    this.log(`_updateMode() -> mode changed from ${previousMode} to ${mode}`);
+    this.homey.flow.getDeviceTriggerCard('thermostat_mode_changed')
+      .trigger(this, {}, { thermostat_mode: mode.toLowerCase() })
+      .catch(this.error);
+    this.homey.flow.getDeviceTriggerCard('custom_ac_mode_changed')
+      .trigger(this, { custom_ac_mode: mode })
+      .catch(this.error);
+  }
+
+  /**
+   * Method that parses the API data to determine if auto changeover is active.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseAutoChangeover(deviceData = {}) {
+    const { autoChangeoverActive } = deviceData.changeableValues;
+    if (typeof autoChangeoverActive !== 'boolean') {
+      this.error('_parseAutoChangeover() -> expected device.changeableValues to have autoChangeoverActive property');
+      return;
+    }
+
+    await this._setPolledCapabilityValue('custom_auto_changeover', autoChangeoverActive);
+  }
+
+  /**
+   * Method that parses the API data to determine the hold status and the time it ends.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseHoldStatus(deviceData = {}) {
+    const { thermostatSetpointStatus, nextPeriodTime } = deviceData.changeableValues;
+    if (typeof thermostatSetpointStatus !== 'string') {
+      this.error('_parseHoldStatus() -> expected device.changeableValues to have thermostatSetpointStatus property');
+      return;
+    }
+
+    const isTemporary = ['HoldUntil', 'TemporaryHold'].includes(thermostatSetpointStatus);
+    const holdUntil = (isTemporary && typeof nextPeriodTime === 'string')
+      ? nextPeriodTime.slice(0, 5)
+      : '-';
+
+    await this.setCapabilityValue('custom_hold_status', thermostatSetpointStatus)
+      .catch(this.error);
+    await this.setCapabilityValue('custom_hold_until', holdUntil)
+      .catch(this.error);
+  }
+
+  /**
+   * Method that parses the operation status to determine if the equipment is heating, cooling,
+   * only running the fan or idle, and triggers a Flow when it changed.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseEquipmentStatus(deviceData = {}) {
+    if (!this.hasCapability('custom_equipment_status')) return;
+
+    const { operationStatus } = deviceData;
+    if (!operationStatus || typeof operationStatus.mode !== 'string') {
+      this.error('_parseEquipmentStatus() -> expected device to have operationStatus.mode property');
+      return;
+    }
+
+    const status = this._getEquipmentStatus(operationStatus);
+    const previousStatus = this.getCapabilityValue('custom_equipment_status');
+    await this.setCapabilityValue('custom_equipment_status', status)
+      .catch(this.error);
+
+    // Do not trigger when the status is parsed for the first time
+    if (previousStatus === null || previousStatus === status) return;
+
+    if (EQUIPMENT_STATUS_TRIGGERS[status]) {
+      this.homey.flow.getDeviceTriggerCard(EQUIPMENT_STATUS_TRIGGERS[status])
+        .trigger(this)
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Returns the equipment status for the operation status reported by the API.
+   * @param {Object} operationStatus
+   * @returns {string} - idle, heating, cooling or fan
+   * @private
+   */
+  _getEquipmentStatus(operationStatus) {
+    if (operationStatus.mode === 'Heat') return 'heating';
+    if (AUX_HEAT_OPERATION_MODES.includes(operationStatus.mode)) return 'heating';
+    if (operationStatus.mode === 'Cool') return 'cooling';
+    if (operationStatus.fanRequest || operationStatus.circulationFanRequest) return 'fan';
+    return 'idle';
+  }
+
+  /**
+   * Method that parses the operation status to determine if the auxiliary heat of a heat pump is
+   * running, and triggers a Flow when it starts.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseAuxHeat(deviceData = {}) {
+    if (!this.hasCapability('custom_aux_heat')) return;
+
+    const { operationStatus } = deviceData;
+    if (!operationStatus || typeof operationStatus.mode !== 'string') return;
+
+    const running = AUX_HEAT_OPERATION_MODES.includes(operationStatus.mode);
+    const previousRunning = this.getCapabilityValue('custom_aux_heat');
+    await this.setCapabilityValue('custom_aux_heat', running)
+      .catch(this.error);
+
+    // Do not trigger when the status is parsed for the first time
+    if (running && previousRunning === false) {
+      this.homey.flow.getDeviceTriggerCard('aux_heat_started')
+        .trigger(this)
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Method that accumulates the runtime of the equipment in the store, updates the runtime and
+   * duty cycle capabilities and triggers a Flow when today's runtime increased.
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseRuntime(deviceData = {}) {
+    if (!this.hasCapability('custom_duty_cycle')) return;
+
+    const { operationStatus } = deviceData;
+    if (!operationStatus || typeof operationStatus.mode !== 'string') return;
+
+    const status = this._getEquipmentStatus(operationStatus);
+    const previousRuntime = this.getStoreValue('runtime');
+    const runtime = updateRuntime(previousRuntime, {
+      heating: status === 'heating',
+      cooling: status === 'cooling',
+      fan: status === 'fan' || !!operationStatus.fanRequest || !!operationStatus.circulationFanRequest,
+    }, new Date(), this.getTimeZone());
+    await this.setStoreValue('runtime', runtime);
+
+    for (const type of RUNTIME_TYPES) {
+      const capabilityId = `custom_runtime_${type}`;
+      if (!this.hasCapability(capabilityId)) continue;
+
+      const hoursToday = toHours(runtime.today[type]);
+      await this.setCapabilityValue(capabilityId, hoursToday).catch(this.error);
+      await this.setCapabilityValue(`${capabilityId}.week`, toHours(runtime.thisWeek[type])).catch(this.error);
+      await this.setCapabilityValue(`${capabilityId}.total`, toHours(runtime.total[type])).catch(this.error);
+
+      const previousHoursToday = (previousRuntime && previousRuntime.date === runtime.date)
+        ? toHours(previousRuntime.today[type])
+        : 0;
+      if (hoursToday > previousHoursToday) {
+        this.homey.flow.getDeviceTriggerCard('runtime_exceeded')
+          .trigger(this, {
+            hours: hoursToday,
+          }, {
+            type,
+            previousHours: previousHoursToday,
+            hours: hoursToday,
+          })
+          .catch(this.error);
+      }
+    }
+
+    await this.setCapabilityValue('custom_duty_cycle', getDutyCycle(runtime)).catch(this.error);
+  }
+
+  /**
+   * Method that parses the API data to determine if device is alive (connected to internet).
+   * @param {Object} deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseAlive(deviceData = {}) {
+    // Check if device is alive (online)
+    if (!Object.prototype.hasOwnProperty.call(deviceData, 'isAlive')) {
+      this.error('_parseAlive() -> expected device to have isAlive property');
+    }
+    this._alive = !!deviceData.isAlive;
+
+    // Set (un)available if necessary
+    if (this.getAvailable() === false && deviceData.isAlive) await this.setAvailable();
+    if (this.getAvailable() === true && !deviceData.isAlive) await this.setUnavailable(this.homey.__('unavailable'));
+  }
+
+  /**
+   * Method that parses the API data for the Fan mode
+   *
+   * @param deviceData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseFanMode(deviceData) {
+    if (!Object.prototype.hasOwnProperty.call(deviceData, 'mode')) {
+      this.error('_parseThermostatMode() -> expected device to have mode property');
+      return;
+    }
+
+    await this._setPolledCapabilityValue('fan_mode', deviceData.mode);
+  }
+
+
+  /**
+   * Returns the Honeywell mode of the device, e.g. EmergencyHeat while thermostat_mode shows heat.
+   * @returns {String|undefined}
+   */
+  getMode() {
+    if (typeof this._mode === 'string') return this._mode;
+    if (!this.hasCapability('thermostat_mode')) return undefined;
+    return fromThermostatMode(this.getCapabilityValue('thermostat_mode'));
+  }
+
+  /**
+   * Returns the Honeywell modes the device allows.
+   * @returns {Array<String>}
+   */
+  getModes() {
+    if (!this.hasCapability('thermostat_mode')) return [];
+
+    const allowedModes = this.getStoreValue('allowedModes');
+    if (Array.isArray(allowedModes)) return getModeModel({ allowedModes }).modes;
+
+    // Devices paired before the allowed modes were stored
+    const { values = [] } = this.getCapabilityOptions('thermostat_mode') || {};
+    return values.map(({ id }) => fromThermostatMode(id)).filter(mode => mode);
+  }
+
+  /**
+   * Flow listener, sets a Honeywell mode. Also used by the legacy mode cards.
+   * @param {String} mode
+   * @returns {Promise<void>}
+   */
+  async setMode(mode) {
+    this.log(`setMode() -> ${mode}`);
+    this._assertModeAllowed(mode);
+
+    // Modes without a value of thermostat_mode of their own, like emergency heat, are sent directly
+    const value = toThermostatMode(mode);
+    if (fromThermostatMode(value) !== mode) {
+      return this._setThermostat({}, { mode });
+    }
+    return this.triggerCapabilityListener('thermostat_mode', value);
+  }
+
+  /**
+   * Flow listener, enables or disables auto changeover.
+   * @param {boolean} value
+   * @returns {Promise<void>}
+   */
+  async setAutoChangeover(value) {
+    this.log(`setAutoChangeover() -> ${value}`);
+    return this.triggerCapabilityListener('custom_auto_changeover', value);
+  }
+
+  /**
+   * Throws a localized error when the device does not allow the mode.
+   * @param {String} mode
+   * @private
+   */
+  _assertModeAllowed(mode) {
+    if (!this.getModes().includes(mode)) {
+      throw new Error(this.homey.__('errors.modeNotSupported', { mode }));
+    }
+  }
+
+  /**
+   * Flow listener for temperature cool setpoint.
+   * @param value
+   * @returns {Promise<void>}
+   */
+  async setCoolSetpoint(value) {
+    this.log(`setCoolSetpoint() -> ${value}`);
+    return this.triggerCapabilityListener('target_temperature.cool', value);
+  }
+
+  /**
+   * Capability listener for custom_ac_mode set.
+   * @param value
+   * @returns {Promise<void>}
+   */
+  async setFanMode(value) {
+    this.log(`setFanMode() -> ${value}`);
+    return this.triggerCapabilityListener('fan_mode', value);
+  }
+
+  /**
+   * Listener for the resume schedule Flow
    * @returns {Promise<void>}
    */
   async setResumeSchedule() {
@@ -438,6 +1587,257 @@ class HoneywellLyricDevice extends OAuth2Device {
     });
   }
 
+  /**
+   * Returns the schedule of the device as last fetched from the API.
+   * @returns {Object}
+   */
+  getSchedule() {
+    const schedule = this.getStoreValue('schedule');
+    if (!schedule) throw new Error(this.homey.__('errors.scheduleUnavailable'));
+    return schedule;
+  }
+
+  /**
+   * Returns the names of the periods in the schedule, used for Flow autocomplete.
+   * @returns {Array<String>}
+   */
+  getSchedulePeriodNames() {
+    const schedule = this.getStoreValue('schedule');
+    return schedule ? getPeriodNames(schedule) : [];
+  }
+
+  /**
+   * Returns the names of the schedules saved with saveSchedule, used for Flow autocomplete.
+   * @returns {Array<String>}
+   */
+  getSavedScheduleNames() {
+    return Object.keys(this.getStoreValue('savedSchedules') || {});
+  }
+
+  /**
+   * Flow listener, changes the setpoints of a schedule period.
+   * @param {String} day - Day of the week, 'everyday', 'weekdays' or 'weekend'
+   * @param {String} period
+   * @param {Number} heatSetpoint
+   * @param {Number} coolSetpoint
+   * @returns {Promise<void>}
+   */
+  async setSchedulePeriod({
+    day, period, heatSetpoint, coolSetpoint,
+  }) {
+    this.log(`setSchedulePeriod() -> ${day} ${period} ${heatSetpoint} ${coolSetpoint}`);
+
+    await this._refreshSchedule({ force: true });
+    const schedule = setPeriodSetpoints(this.getSchedule(), {
+      day,
+      period,
+      heatSetpoint,
+      coolSetpoint: this.hasCapability('target_temperature.cool') ? coolSetpoint : undefined,
+    });
+
+    await this._writeSchedule(schedule);
+  }
+
+  /**
+   * Flow listener, saves the current schedule under a name so it can be applied later.
+   * @param {String} name
+   * @returns {Promise<void>}
+   */
+  async saveSchedule(name) {
+    this.log(`saveSchedule() -> ${name}`);
+
+    await this._refreshSchedule({ force: true });
+    const savedSchedules = this.getStoreValue('savedSchedules') || {};
+    savedSchedules[name] = this.getSchedule();
+    await this.setStoreValue('savedSchedules', savedSchedules);
+  }
+
+  /**
+   * Flow listener, replaces the schedule of the device by a saved schedule.
+   * @param {String} name
+   * @returns {Promise<void>}
+   */
+  async applySavedSchedule(name) {
+    this.log(`applySavedSchedule() -> ${name}`);
+
+    const savedSchedules = this.getStoreValue('savedSchedules') || {};
+    if (!savedSchedules[name]) throw new Error(this.homey.__('errors.unknownSchedule', { name }));
+
+    await this._writeSchedule(savedSchedules[name]);
+  }
+
+  /**
+   * Sends a schedule to the API and stores it as the current schedule.
+   * @param {Object} schedule
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeSchedule(schedule) {
+    await this.oAuth2Client.setSchedule({
+      locationId: this.getLocationId(),
+      deviceId: this.getData().id,
+      schedule: serializeSchedule(this.getData().id, schedule, this.getUnits()),
+    });
+    await this.setStoreValue('schedule', schedule);
+    await this._parseSchedulePeriod();
+  }
+
+  /**
+   * Fetches the schedule from the API when the stored schedule is outdated. The schedule rarely
+   * changes, so it is not fetched on every poll.
+   * @param {boolean} [force]
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshSchedule({ force = false } = {}) {
+    if (!force && this._scheduleFetchedAt
+      && Date.now() - this._scheduleFetchedAt < SCHEDULE_REFRESH_INTERVAL) return;
+
+    this._scheduleFetchedAt = Date.now();
+    try {
+      const schedule = await this.oAuth2Client.getSchedule({
+        locationId: this.getLocationId(), deviceId: this.getData().id,
+      });
+      await this.setStoreValue('schedule', parseSchedule(schedule, this.getUnits()));
+    } catch (err) {
+      this.error('_refreshSchedule() -> failed to get schedule', err);
+      if (force) throw err;
+    }
+  }
+
+  /**
+   * Determines the current and next schedule period, triggers a Flow when the period changed.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseSchedulePeriod() {
+    const schedule = this.getStoreValue('schedule');
+    if (!schedule) return;
+
+    const periods = getCurrentAndNextPeriod(schedule, new Date(), this.getTimeZone());
+    if (!periods) return;
+
+    const { current, next } = periods;
+    const key = [current.day, current.period, current.start].join(' ');
+    const previousKey = this._schedulePeriodKey;
+    this._schedulePeriodKey = key;
+
+    // Do not trigger on the first period after init
+    if (typeof previousKey === 'undefined' || previousKey === key) return;
+
+    this.homey.flow.getDeviceTriggerCard('schedule_period_changed')
+      .trigger(this, {
+        period: current.period,
+        heat_setpoint: current.heatSetpoint,
+        cool_setpoint: typeof current.coolSetpoint === 'number' ? current.coolSetpoint : current.heatSetpoint,
+        next_period: next.period,
+        next_start: next.start || '-',
+        next_heat_setpoint: next.heatSetpoint,
+        next_cool_setpoint: typeof next.coolSetpoint === 'number' ? next.coolSetpoint : next.heatSetpoint,
+      })
+      .catch(this.error);
+  }
+
+  /**
+   * Returns the rooms of the thermostat that can be prioritized, used for Flow autocomplete.
+   * @returns {Promise<Array<{id: Number, name: String}>>}
+   */
+  async getPriorityRooms() {
+    if (!this.getStoreValue('priorityRooms')) {
+      await this._refreshPriority({ force: true });
+    }
+    return this.getStoreValue('priorityRooms') || [];
+  }
+
+  /**
+   * Flow listener, prioritizes a single room.
+   * @param {Number} roomId
+   * @returns {Promise<void>}
+   */
+  async setPriorityRoom(roomId) {
+    const rooms = await this.getPriorityRooms();
+    const room = rooms.find(priorityRoom => priorityRoom.id === roomId);
+    if (!room) throw new Error(this.homey.__('errors.unknownRoom'));
+
+    await this.setPriority({ priorityType: 'PickARoom', selectedRooms: [room.id] });
+  }
+
+  /**
+   * Sets the room priority of the thermostat.
+   * @param {String} priorityType - PickARoom, WholeHouse or FollowMe
+   * @param {Array<Number>} [selectedRooms]
+   * @returns {Promise<void>}
+   */
+  async setPriority({ priorityType, selectedRooms = [] }) {
+    this.log(`setPriority() -> ${priorityType} ${selectedRooms}`);
+
+    await this.oAuth2Client.setPriority({
+      locationId: this.getLocationId(),
+      deviceId: this.getData().id,
+      priorityType,
+      selectedRooms,
+    });
+    await this._refreshPriority({ force: true });
+  }
+
+  /**
+   * Fetches the room priority from the API when it is outdated, it is not fetched on every poll
+   * to limit the number of requests.
+   * @param {boolean} [force]
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshPriority({ force = false } = {}) {
+    if (!force && this._priorityFetchedAt
+      && Date.now() - this._priorityFetchedAt < PRIORITY_REFRESH_INTERVAL) return;
+
+    this._priorityFetchedAt = Date.now();
+    try {
+      const priority = await this.oAuth2Client.getPriority({
+        locationId: this.getLocationId(), deviceId: this.getData().id,
+      });
+      await this._parsePriority(priority);
+    } catch (err) {
+      this.error('_refreshPriority() -> failed to get priority', err);
+      if (force) throw err;
+    }
+  }
+
+  /**
+   * Method that parses the room priority into the capabilities and stores the rooms.
+   * @param {Object} priority
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parsePriority(priority = {}) {
+    const { currentPriority } = priority;
+    if (!currentPriority || typeof currentPriority.priorityType !== 'string') {
+      this.error('_parsePriority() -> expected priority to have currentPriority property');
+      return;
+    }
+
+    const rooms = (currentPriority.rooms || []).map(room => ({ id: room.id, name: room.roomName }));
+    await this.setStoreValue('priorityRooms', rooms);
+
+    const selectedRooms = rooms
+      .filter(room => (currentPriority.selectedRooms || []).includes(room.id))
+      .map(room => room.name);
+
+    await this.setCapabilityValue('custom_priority_type', currentPriority.priorityType)
+      .catch(this.error);
+    await this.setCapabilityValue('custom_priority_rooms', selectedRooms.length > 0 ? selectedRooms.join(', ') : '-')
+      .catch(this.error);
+  }
+
+  /**
+   * Returns the units of the device, Celsius until the device reported otherwise.
+   * @returns {string}
+   */
+  getUnits() {
+    const units = this.getSetting('units');
+    return typeof units === 'string' ? units : UNIT_CELSIUS;
+  }
+
   /**
    * Returns the correct temperature based on the Device settings
    *
@@ -445,11 +1845,7 @@ class HoneywellLyricDevice extends OAuth2Device {
    * @returns {number|*}
    */
   _transformTemperature(temperature) {
-    if (typeof this.getSetting('units') === 'string'
-      && this.getSetting('units') !== UNIT_CELSIUS) {
-      return ctof(temperature);
-    }
-    return temperature;
+    return fromCelsius(temperature, this.getUnits());
   }
 
 }
@@ -1,25 +1,44 @@
 'use strict';
 
-const { OAuth2Driver } = require('homey-oauth2app');
+const HoneywellOAuth2Driver = require('./HoneywellOAuth2Driver');
+const { toCelsius, isThermostat, hasRoomSensors } = require('./HoneywellUtils');
+const {
+  getModeModel, getModeCapabilityOptions, fromLegacyModeValue,
+} = require('./HoneywellModes');
 
-class HoneywellLyricDriver extends OAuth2Driver {
+const RUNTIME_TITLES = {
+  heating: { en: 'Heating', nl: 'Verwarmen', de: 'Heizen' },
+  cooling: { en: 'Cooling', nl: 'Koelen', de: 'Kühlen' },
+  fan: { en: 'Fan', nl: 'Ventilator', de: 'Ventilator' },
+};
+
+class HoneywellLyricDriver extends HoneywellOAuth2Driver {
 
   onOAuth2Init() {
-    // Triggers
+    // Triggers, thermostat_mode_changed and the cards of the ac mode are kept for existing Flows,
+    // Homey has its own cards for thermostat_mode
     this.homey.flow.getDeviceTriggerCard('thermostat_mode_changed')
       .registerRunListener((args, state) => {
         return args.thermostat_mode === state.thermostat_mode;
       });
 
+    this.homey.flow.getDeviceTriggerCard('runtime_exceeded')
+      .registerRunListener((args, state) => {
+        return args.type === state.type
+          && state.previousHours < args.hours
+          && state.hours >= args.hours;
+      });
+
     // Conditions
     this.homey.flow.getConditionCard('thermostat_mode_is')
       .registerRunListener((args = {}) => {
-        return (args.thermostat_mode === args.device.getCapabilityValue('custom_thermostat_mode'));
+        const mode = fromLegacyModeValue('custom_thermostat_mode', args.thermostat_mode);
+        return (mode === args.device.getMode());
       });
 
     this.homey.flow.getConditionCard('ac_mode_is')
       .registerRunListener(async (args, state) => {
-        return (args.ac_mode === args.device.getCapabilityValue('custom_ac_mode'));
+        return (args.ac_mode === args.device.getMode());
       });
 
     this.homey.flow.getConditionCard('fan_mode_is')
@@ -27,15 +46,36 @@ class HoneywellLyricDriver extends OAuth2Driver {
         return (args.fan_mode === args.device.getCapabilityValue('fan_mode'));
       });
 
+    this.homey.flow.getConditionCard('equipment_status_is')
+      .registerRunListener(async (args, state) => {
+        return (args.equipment_status === args.device.getCapabilityValue('custom_equipment_status'));
+      });
+
     // Actions
     this.homey.flow.getActionCard('thermostat_mode_set')
       .registerRunListener((args = {}) => {
-        return args.device.setCustomThermostatMode(args.thermostat_mode);
+        const mode = fromLegacyModeValue('custom_thermostat_mode', args.thermostat_mode);
+        return args.device.setMode(mode || args.thermostat_mode);
       });
 
     this.homey.flow.getActionCard('ac_mode_set')
       .registerRunListener((args = {}) => {
-        return args.device.setCustomACMode(args.ac_mode);
+        return args.device.setMode(args.ac_mode);
+      });
+
+    this.homey.flow.getActionCard('mode_set')
+      .registerRunListener((args = {}) => {
+        return args.device.setMode(args.mode.id);
+      })
+      .registerArgumentAutocompleteListener('mode', async (query, args = {}) => {
+        const modes = args.device.getModes()
+          .map(mode => ({ id: mode, name: this.homey.__(`modes.${mode}`) }));
+        return modes.filter(mode => mode.name.toLowerCase().includes(query.toLowerCase()));
+      });
+
+    this.homey.flow.getActionCard('auto_changeover_set')
+      .registerRunListener((args = {}) => {
+        return args.device.setAutoChangeover(args.auto_changeover === 'on');
       });
 
     this.homey.flow.getActionCard('resume_schedule')
@@ -52,37 +92,107 @@ class HoneywellLyricDriver extends OAuth2Driver {
       .registerRunListener(async (args, state) => {
         return args.device.setFanMode(args.fan_mode);
       });
-  }
 
-  /**
-   * Method that is called when OAuth2 process has completed and app is ready to fetch devices
-   * from the Honeywell API. It will first fetch the locations, then the devices of all these
-   * locations.
-   * @param {OAuth2Client} oAuth2Client
-   * @returns {Promise}
-   */
-  async onPairListDevices({ oAuth2Client }) {
-    this.log('onPairListDevices()');
+    this.homey.flow.getActionCard('fan_run_for')
+      .registerRunListener((args = {}) => {
+        return args.device.runFanFor(args.minutes);
+      });
 
-    const locations = await oAuth2Client.getLocations();
-    if (!Array.isArray(locations)) {
-      throw new Error('Expected locations of type Array');
-    }
+    this.homey.flow.getActionCard('fan_circulate')
+      .registerRunListener((args = {}) => {
+        return args.device.circulateFan(args.minutes);
+      });
 
-    const devices = [];
-    locations.forEach(location => {
-      location.devices.forEach(device => {
-        devices.push(this._getDevice({ device, location }));
+    this.homey.flow.getActionCard('fan_timer_stop')
+      .registerRunListener((args = {}) => {
+        return args.device.stopFanTimer();
       });
-    });
 
-    if (!Array.isArray(devices)) {
-      this.error('Invalid device data received', devices);
-      throw new Error('Could not fetch devices');
-    }
+    this.homey.flow.getActionCard('hold_until')
+      .registerRunListener((args = {}) => {
+        return args.device.setHoldUntil(args.temperature, args.time);
+      });
+
+    this.homey.flow.getActionCard('hold_for')
+      .registerRunListener((args = {}) => {
+        return args.device.setHoldFor(args.temperature, args.minutes);
+      });
 
-    this.log(`onPairListDevices() -> found ${devices.length} devices`);
-    return devices;
+    this.homey.flow.getActionCard('hold_permanently')
+      .registerRunListener((args = {}) => {
+        return args.device.setPermanentHold(args.temperature);
+      });
+
+    this.homey.flow.getActionCard('schedule_period_set')
+      .registerRunListener((args = {}) => {
+        return args.device.setSchedulePeriod({
+          day: args.day,
+          period: args.period.id,
+          heatSetpoint: args.heatSetpoint,
+          coolSetpoint: args.coolSetpoint,
+        });
+      })
+      .registerArgumentAutocompleteListener('period', async (query, args = {}) => {
+        return this._autocomplete(args.device.getSchedulePeriodNames(), query);
+      });
+
+    this.homey.flow.getActionCard('schedule_save')
+      .registerRunListener((args = {}) => {
+        return args.device.saveSchedule(args.name);
+      });
+
+    this.homey.flow.getActionCard('schedule_apply')
+      .registerRunListener((args = {}) => {
+        return args.device.applySavedSchedule(args.schedule.id);
+      })
+      .registerArgumentAutocompleteListener('schedule', async (query, args = {}) => {
+        return this._autocomplete(args.device.getSavedScheduleNames(), query);
+      });
+
+    this.homey.flow.getActionCard('priority_room_set')
+      .registerRunListener((args = {}) => {
+        return args.device.setPriorityRoom(args.room.id);
+      })
+      .registerArgumentAutocompleteListener('room', async (query, args = {}) => {
+        const rooms = await args.device.getPriorityRooms();
+        return rooms
+          .filter(room => room.name.toLowerCase().includes(query.toLowerCase()))
+          .map(room => ({ id: room.id, name: room.name }));
+      });
+
+    this.homey.flow.getActionCard('priority_whole_house_set')
+      .registerRunListener((args = {}) => {
+        return args.device.setPriority({ priorityType: 'WholeHouse' });
+      });
+
+    this.homey.flow.getActionCard('priority_follow_me_set')
+      .registerRunListener((args = {}) => {
+        return args.device.setPriority({ priorityType: 'FollowMe' });
+      });
+  }
+
+  /**
+   * Returns the autocomplete results for a list of names, filtered by query.
+   * @param {Array<String>} names
+   * @param {String} query
+   * @returns {Array<{id: String, name: String}>}
+   * @private
+   */
+  _autocomplete(names, query = '') {
+    return names
+      .filter(name => name.toLowerCase().includes(query.toLowerCase()))
+      .map(name => ({ id: name, name }));
+  }
+
+  /**
+   * Returns the thermostats of a location.
+   * @param {OAuth2Client} oAuth2Client
+   * @param {Object} location
+   * @returns {Promise<Array<Object>>}
+   */
+  async onPairListLocationDevices({ oAuth2Client, location }) {
+    return location.devices.filter(isThermostat)
+      .map(device => this._getDevice({ device, location }));
   }
 
   /**
@@ -100,68 +210,177 @@ class HoneywellLyricDriver extends OAuth2Driver {
       store: {
         locationId: String(location.locationID),
         deviceSettings: device.settings,
+        allowedModes: device.allowedModes,
+      },
+      settings: {
+        units: device.units,
       },
     };
 
+    const { capabilities, capabilitiesOptions } = this.getCapabilities(device);
+    data.capabilities = capabilities;
+    data.capabilitiesOptions = capabilitiesOptions;
+
+    return data;
+  }
+
+  /**
+   * Returns the capabilities and their options for the modes, fan and sensors of the device. Used
+   * when pairing and to migrate paired devices when these change.
+   * @param device
+   * @returns {{capabilities: Array<String>, capabilitiesOptions: Object}}
+   */
+  getCapabilities(device) {
     const capabilities = [
       'measure_temperature',
+      'custom_hold_status',
+      'custom_hold_until',
     ];
     const capabilitiesOptions = {};
 
-    if (device.allowedModes && device.allowedModes.length > 0) {
-      if (device.allowedModes.includes('Heat')) {
-        capabilities.push('target_temperature');
+    const model = getModeModel(device);
 
-        capabilitiesOptions['target_temperature'] = {
-          title: {
-            en: 'Heating setpoint',
-            nl: 'Verwarmingsinstelpunt',
-            de: 'Heizungssollwert',
-          },
-        };
+    if (model.heat) {
+      capabilities.push('target_temperature');
 
-        if (device.minHeatSetpoint && device.maxHeatSetpoint) {
-          capabilitiesOptions['target_temperature'].min = device.minHeatSetpoint;
-          capabilitiesOptions['target_temperature'].max = device.maxHeatSetpoint;
-          capabilitiesOptions['target_temperature'].step = 0.5;
-        }
+      capabilitiesOptions['target_temperature'] = {
+        title: {
+          en: 'Heating setpoint',
+          nl: 'Verwarmingsinstelpunt',
+          de: 'Heizungssollwert',
+        },
+      };
 
-        if (!device.allowedModes.includes('Cool')) {
-          capabilities.push('custom_thermostat_mode');
-        }
+      if (device.minHeatSetpoint && device.maxHeatSetpoint) {
+        capabilitiesOptions['target_temperature'].min = toCelsius(device.minHeatSetpoint, device.units);
+        capabilitiesOptions['target_temperature'].max = toCelsius(device.maxHeatSetpoint, device.units);
+        capabilitiesOptions['target_temperature'].step = 0.5;
       }
+    }
 
-      if (device.allowedModes.includes('Cool')) {
-        capabilities.push('target_temperature.cool');
-
-        capabilitiesOptions['target_temperature.cool'] = {
-          title: {
-            en: 'Cooling setpoint',
-            nl: 'Koelinstelpunt',
-            de: 'Kühlsollwert',
-          },
-        };
+    if (model.cool) {
+      capabilities.push('target_temperature.cool');
 
-        if (device.minCoolSetpoint && device.maxCoolSetpoint) {
-          capabilitiesOptions['target_temperature.cool'].min = device.minCoolSetpoint;
-          capabilitiesOptions['target_temperature.cool'].max = device.maxCoolSetpoint;
-          capabilitiesOptions['target_temperature.cool'].step = 0.5;
-        }
+      capabilitiesOptions['target_temperature.cool'] = {
+        title: {
+          en: 'Cooling setpoint',
+          nl: 'Koelinstelpunt',
+          de: 'Kühlsollwert',
+        },
+      };
 
-        capabilities.push('custom_ac_mode');
+      if (device.minCoolSetpoint && device.maxCoolSetpoint) {
+        capabilitiesOptions['target_temperature.cool'].min = toCelsius(device.minCoolSetpoint, device.units);
+        capabilitiesOptions['target_temperature.cool'].max = toCelsius(device.maxCoolSetpoint, device.units);
+        capabilitiesOptions['target_temperature.cool'].step = 0.5;
       }
     }
 
-    if (device.settings.fan
+    // Mode capability with only the modes the device allows
+    if (model.modes.length > 0) {
+      capabilities.push('thermostat_mode');
+      capabilitiesOptions['thermostat_mode'] = getModeCapabilityOptions(model);
+    }
+
+    if (model.autoChangeover) {
+      capabilities.push('custom_auto_changeover');
+    }
+
+    if (device.settings
+      && device.settings.fan
       && device.settings.fan.allowedModes
       && device.settings.fan.allowedModes.length > 0) {
       capabilities.push('fan_mode');
     }
 
-    data.capabilities = capabilities;
-    data.capabilitiesOptions = capabilitiesOptions;
+    const sensors = this.getSensorCapabilities(device);
+    capabilities.push(...sensors.capabilities);
+    Object.assign(capabilitiesOptions, sensors.capabilitiesOptions);
 
-    return data;
+    return { capabilities, capabilitiesOptions };
+  }
+
+  /**
+   * Returns the humidity, outdoor, equipment status, auxiliary heat, runtime and room priority
+   * capabilities for the values the device reports.
+   * @param device
+   * @returns {{capabilities: Array<String>, capabilitiesOptions: Object}}
+   */
+  getSensorCapabilities(device = {}) {
+    const capabilities = [];
+    const capabilitiesOptions = {};
+
+    if (typeof device.indoorHumidity === 'number') {
+      capabilities.push('measure_humidity');
+    }
+
+    if (typeof device.outdoorTemperature === 'number') {
+      capabilities.push('measure_temperature.outdoor');
+      capabilitiesOptions['measure_temperature.outdoor'] = {
+        title: {
+          en: 'Outdoor temperature',
+          nl: 'Buitentemperatuur',
+          de: 'Außentemperatur',
+        },
+      };
+    }
+
+    if (device.operationStatus && typeof device.operationStatus.mode === 'string') {
+      capabilities.push('custom_equipment_status', 'custom_duty_cycle');
+
+      if (getModeModel(device).heatPump) {
+        capabilities.push('custom_aux_heat');
+      }
+
+      const allowedModes = device.allowedModes || [];
+      const runtimeTypes = [];
+      if (allowedModes.includes('Heat')) runtimeTypes.push('heating');
+      if (allowedModes.includes('Cool')) runtimeTypes.push('cooling');
+      if (device.settings && device.settings.fan) runtimeTypes.push('fan');
+
+      runtimeTypes.forEach(type => {
+        const capabilityId = `custom_runtime_${type}`;
+        capabilities.push(capabilityId, `${capabilityId}.week`, `${capabilityId}.total`);
+        capabilitiesOptions[capabilityId] = {
+          title: {
+            en: `${RUNTIME_TITLES[type].en} runtime today`,
+            nl: `${RUNTIME_TITLES[type].nl} looptijd vandaag`,
+            de: `${RUNTIME_TITLES[type].de} Laufzeit heute`,
+          },
+        };
+        capabilitiesOptions[`${capabilityId}.week`] = {
+          title: {
+            en: `${RUNTIME_TITLES[type].en} runtime this week`,
+            nl: `${RUNTIME_TITLES[type].nl} looptijd deze week`,
+            de: `${RUNTIME_TITLES[type].de} Laufzeit diese Woche`,
+          },
+        };
+        capabilitiesOptions[`${capabilityId}.total`] = {
+          title: {
+            en: `${RUNTIME_TITLES[type].en} runtime total`,
+            nl: `${RUNTIME_TITLES[type].nl} looptijd totaal`,
+            de: `${RUNTIME_TITLES[type].de} Laufzeit gesamt`,
+          },
+        };
+      });
+    }
+
+    if (typeof device.displayedOutdoorHumidity === 'number') {
+      capabilities.push('measure_humidity.outdoor');
+      capabilitiesOptions['measure_humidity.outdoor'] = {
+        title: {
+          en: 'Outdoor humidity',
+          nl: 'Buitenluchtvochtigheid',
+          de: 'Außenluftfeuchtigkeit',
+        },
+      };
+    }
+
+    if (hasRoomSensors(device)) {
+      capabilities.push('custom_priority_type', 'custom_priority_rooms');
+    }
+
+    return { capabilities, capabilitiesOptions };
   }
 
 }
@@ -0,0 +1,212 @@
+'use strict';
+
+const POLL_INTERVAL = 60 * 1000; // 60 seconds
+const INITIAL_POLL_DELAY = 2 * 1000; // 2 seconds, lets devices of a session register first
+const ROOMS_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes, like the room priority of thermostats
+
+/*
+ * This class polls the Honeywell API once per OAuth2 session and hands the result to every device
+ * that is registered on that session, instead of letting each device poll on its own.
+ */
+class HoneywellLyricPoller {
+
+  /**
+   * @param {Homey} homey
+   * @param {HoneywellLyricClient} oAuth2Client
+   */
+  constructor({ homey, oAuth2Client }) {
+    this.homey = homey;
+    this.oAuth2Client = oAuth2Client;
+
+    this._devices = new Set();
+    this._pollTimeout = null;
+    this._nextPollAt = null;
+    this._polling = null;
+    this._cache = new Map();
+    this._rooms = new Map();
+  }
+
+  /**
+   * Registers a device which will receive the polled locations via its onPollLocations method.
+   * Schedules a poll shortly after so that the device receives its initial data.
+   * @param {HoneywellLyricDevice} device
+   */
+  register(device) {
+    this._devices.add(device);
+    this._schedule(INITIAL_POLL_DELAY);
+  }
+
+  /**
+   * Unregisters a device, stops polling when no devices are left.
+   * @param {HoneywellLyricDevice} device
+   */
+  unregister(device) {
+    this._devices.delete(device);
+    if (this._devices.size === 0) {
+      this._clear();
+    }
+  }
+
+  /**
+   * Fetches all locations once and passes them to all registered devices. Concurrent calls share
+   * the same poll.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this._polling) return this._polling;
+
+    this._polling = this._poll();
+    try {
+      await this._polling;
+    } finally {
+      this._polling = null;
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns all locations of the session, fetched at most once per poll so that devices that
+   * initialize at the same time share a single request.
+   * @returns {Promise<Array>}
+   */
+  async getLocations() {
+    return this._getCached('locations', () => this.oAuth2Client.getLocations());
+  }
+
+  /**
+   * Returns the rooms of a T9/T10 thermostat. All room sensors of a thermostat share a single
+   * request, which is only repeated every few minutes so room sensors do not add a request to
+   * every poll. Failed requests are not kept.
+   * @param {String} locationId
+   * @param {String} deviceId - Id of the thermostat
+   * @returns {Promise<*>}
+   */
+  async getRooms({ locationId, deviceId }) {
+    const key = `${locationId}:${deviceId}`;
+    const cached = this._rooms.get(key);
+    if (cached && Date.now() - cached.fetchedAt < ROOMS_REFRESH_INTERVAL) return cached.promise;
+
+    const entry = {
+      fetchedAt: Date.now(),
+      promise: this.oAuth2Client.getRooms({ locationId, deviceId }),
+    };
+    entry.promise.catch(() => {
+      if (this._rooms.get(key) === entry) this._rooms.delete(key);
+    });
+    this._rooms.set(key, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Stops polling and forgets all registered devices.
+   */
+  destroy() {
+    this._clear();
+    this._devices.clear();
+    this._rooms.clear();
+  }
+
+  /**
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _poll() {
+    this._clear();
+    this._cache.clear();
+    if (this._devices.size === 0) return;
+
+    // Hold polling until the user logs in again
+    if (this.oAuth2Client.isAuthorizationExpired()) {
+      this._schedule(POLL_INTERVAL);
+      return;
+    }
+
+    // Hold polling until the rate limit is expected to be lifted
+    if (this.oAuth2Client.isRateLimited()) {
+      this._schedule(this._getPollDelay());
+      return;
+    }
+
+    try {
+      const locations = await this.getLocations();
+      if (!Array.isArray(locations)) {
+        throw new Error('Expected locations of type Array');
+      }
+
+      for (const device of this._devices) {
+        try {
+          await device.onPollLocations(locations);
+        } catch (err) {
+          device.error('onPollLocations() -> failed', err);
+        }
+      }
+    } catch (err) {
+      this.oAuth2Client.error('poll() -> failed to get locations', err);
+    } finally {
+      if (this._devices.size > 0) {
+        this._schedule(this._getPollDelay());
+      }
+    }
+  }
+
+  /**
+   * Returns the cached result of fn for this poll, calls fn when it is not cached yet. Failed
+   * requests are not cached.
+   * @param {String} key
+   * @param {Function} fn
+   * @returns {Promise<*>}
+   * @private
+   */
+  _getCached(key, fn) {
+    if (!this._cache.has(key)) {
+      const promise = fn();
+      promise.catch(() => this._cache.delete(key));
+      this._cache.set(key, promise);
+    }
+    return this._cache.get(key);
+  }
+
+  /**
+   * Returns the delay until the next poll, the normal interval or longer while rate limited.
+   * @returns {number}
+   * @private
+   */
+  _getPollDelay() {
+    const rateLimitedUntil = this.oAuth2Client.getRateLimitedUntil();
+    if (rateLimitedUntil) {
+      return Math.max(POLL_INTERVAL, rateLimitedUntil - Date.now());
+    }
+    return POLL_INTERVAL;
+  }
+
+  /**
+   * Schedules the next poll, unless a poll is already scheduled to run earlier.
+   * @param {number} delay
+   * @private
+   */
+  _schedule(delay) {
+    const pollAt = Date.now() + delay;
+    if (this._pollTimeout && this._nextPollAt <= pollAt) return;
+
+    this._clear();
+    this._nextPollAt = pollAt;
+    this._pollTimeout = this.homey.setTimeout(() => {
+      this._pollTimeout = null;
+      this.poll().catch(err => this.oAuth2Client.error('poll() -> failed', err));
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  _clear() {
+    if (this._pollTimeout) {
+      this.homey.clearTimeout(this._pollTimeout);
+    }
+    this._pollTimeout = null;
+    this._nextPollAt = null;
+  }
+
+}
+
+module.exports = HoneywellLyricPoller;
@@ -0,0 +1,121 @@
+'use strict';
+
+/*
+ * Mode model of a thermostat, built from the modes the device allows. The mode is shown with
+ * Homey's thermostat_mode capability, which has no value for emergency heat: a heat pump in
+ * emergency heat shows heat. Devices paired before used custom_thermostat_mode (lowercase mode
+ * names) or custom_ac_mode (Honeywell mode names), these are migrated to thermostat_mode.
+ */
+
+// Honeywell modes in the order they are listed, with their titles
+const MODES = {
+  Auto: { en: 'Auto', nl: 'Automatisch', de: 'Automatisch' },
+  Heat: { en: 'Heat', nl: 'Verhitten', de: 'Heizen' },
+  EmergencyHeat: { en: 'Emergency heat', nl: 'Noodverwarming', de: 'Notheizung' },
+  Cool: { en: 'Cool', nl: 'Koelen', de: 'Kühlen' },
+  Off: { en: 'Off', nl: 'Uit', de: 'Aus' },
+};
+
+// Values of thermostat_mode by Honeywell mode
+const THERMOSTAT_MODES = {
+  Auto: 'auto',
+  Heat: 'heat',
+  EmergencyHeat: 'heat',
+  Cool: 'cool',
+  Off: 'off',
+};
+
+const LEGACY_MODE_CAPABILITIES = ['custom_thermostat_mode', 'custom_ac_mode'];
+
+// Modes of the legacy capabilities of devices paired before the modes were taken from the device
+const LEGACY_DEFAULT_MODES = {
+  custom_thermostat_mode: ['Heat', 'Off'],
+  custom_ac_mode: ['Auto', 'Heat', 'Cool', 'Off'],
+};
+
+/**
+ * Returns the mode model of a device.
+ * @param {Object} device - Device data from the Honeywell API
+ * @returns {{modes: Array<String>, heat: boolean, cool: boolean, autoChangeover: boolean,
+ * heatPump: boolean}}
+ */
+function getModeModel({ allowedModes = [], changeableValues = {} } = {}) {
+  const modes = Object.keys(MODES).filter(mode => allowedModes.includes(mode));
+
+  return {
+    modes,
+    heat: modes.includes('Heat') || modes.includes('EmergencyHeat'),
+    cool: modes.includes('Cool'),
+    // Auto changeover switches between heating and cooling in Auto mode
+    autoChangeover: modes.includes('Auto')
+      && typeof changeableValues.autoChangeoverActive === 'boolean',
+    // Only heat pumps have emergency heat, which runs the auxiliary heat without the heat pump
+    heatPump: modes.includes('EmergencyHeat'),
+  };
+}
+
+/**
+ * Returns the value of thermostat_mode for a Honeywell mode.
+ * @param {String} mode
+ * @returns {String|undefined}
+ */
+function toThermostatMode(mode) {
+  return THERMOSTAT_MODES[mode];
+}
+
+/**
+ * Returns the Honeywell mode for a value of thermostat_mode.
+ * @param {String} value
+ * @returns {String|undefined}
+ */
+function fromThermostatMode(value) {
+  return ['Auto', 'Heat', 'Cool', 'Off'].find(mode => THERMOSTAT_MODES[mode] === value);
+}
+
+/**
+ * Returns the options of thermostat_mode that limit its values to the modes of the device.
+ * @param {Object} model - See getModeModel
+ * @returns {{values: Array<{id: String, title: Object}>}}
+ */
+function getModeCapabilityOptions({ modes }) {
+  return {
+    values: modes
+      .filter(mode => mode !== 'EmergencyHeat')
+      .map(mode => ({ id: toThermostatMode(mode), title: MODES[mode] })),
+  };
+}
+
+/**
+ * Returns the Honeywell mode for a value of a legacy mode capability, or of the legacy Flow cards.
+ * @param {String} capabilityId - custom_thermostat_mode or custom_ac_mode
+ * @param {String} value
+ * @returns {String|undefined}
+ */
+function fromLegacyModeValue(capabilityId, value) {
+  if (capabilityId === 'custom_ac_mode') return MODES[value] ? value : undefined;
+  return Object.keys(MODES).find(mode => mode.toLowerCase() === value);
+}
+
+/**
+ * Returns the Honeywell modes of a legacy mode capability, based on its options.
+ * @param {String} capabilityId - custom_thermostat_mode or custom_ac_mode
+ * @param {Object} [options] - Capability options
+ * @returns {Array<String>}
+ */
+function getLegacyCapabilityModes(capabilityId, options = {}) {
+  if (!Array.isArray(options.values)) return LEGACY_DEFAULT_MODES[capabilityId];
+  return options.values
+    .map(({ id }) => fromLegacyModeValue(capabilityId, id))
+    .filter(mode => typeof mode === 'string');
+}
+
+module.exports = {
+  MODES,
+  LEGACY_MODE_CAPABILITIES,
+  getModeModel,
+  toThermostatMode,
+  fromThermostatMode,
+  getModeCapabilityOptions,
+  fromLegacyModeValue,
+  getLegacyCapabilityModes,
+};
@@ -6,10 +6,15 @@ const Homey = require('homey');
 const {
   OAuth2Client, fetch, OAuth2Token, OAuth2Error,
 } = require('homey-oauth2app');
+const { formatTime } = require('./HoneywellUtils');
 
 const API_KEY = Homey.env.HONEYWELL_API_CLIENT_ID;
 const API_SECRET = Homey.env.HONEYWELL_API_CLIENT_SECRET;
 
+const RATE_LIMIT_BACKOFF = 2 * 60 * 1000; // 2 minutes
+const RATE_LIMIT_MAX_BACKOFF = 60 * 60 * 1000; // 1 hour
+const RATE_LIMIT_JITTER = 0.2; // up to 20% extra backoff
+
 /*
  * This class handles all api and token requests, and should be extended by the app.
  */
@@ -24,6 +29,76 @@ class HoneywellOAuth2Client extends OAuth2Client {
     return API_KEY;
   }
 
+  /**
+   * Returns true while the API is rate limiting this session and requests should be held.
+   * @returns {boolean}
+   */
+  isRateLimited() {
+    return typeof this._rateLimitedUntil === 'number' && Date.now() < this._rateLimitedUntil;
+  }
+
+  /**
+   * Returns the timestamp at which the rate limit is expected to be lifted, or null.
+   * @returns {number|null}
+   */
+  getRateLimitedUntil() {
+    return this.isRateLimited() ? this._rateLimitedUntil : null;
+  }
+
+  /**
+   * Returns true when the token could not be refreshed because the authorization expired or was
+   * revoked, requests fail until the user logs in again.
+   * @returns {boolean}
+   */
+  isAuthorizationExpired() {
+    return this._authorizationExpired === true;
+  }
+
+  /**
+   * Extends setting the token from homey-oauth2app, a token from a new login restores the
+   * authorization of all devices of the session. The token is set by the token exchange (e.g.
+   * when repairing a device) and when pairing on an account that already has a session, which
+   * hands the token of the temporary pairing client to the client of that session.
+   * @param {OAuth2Token} token
+   */
+  setToken({ token }) {
+    super.setToken({ token });
+    this._onAuthorizationRestored();
+  }
+
+  /**
+   * Holds all requests while the authorization is expired, they would only fail to refresh the
+   * token again.
+   * @param {Object} args
+   * @returns {Promise<{url: string, opts: Object}>}
+   */
+  async onBuildRequest(args) {
+    if (this.isAuthorizationExpired()) {
+      throw new OAuth2Error(this.homey.__('authorizationExpired'));
+    }
+    return super.onBuildRequest(args);
+  }
+
+  /**
+   * Holds writes while rate limited, they would only extend the rate limit.
+   * @param {Object} args
+   * @returns {Promise<*>}
+   */
+  async post(args) {
+    this._assertNotRateLimited();
+    return super.post(args);
+  }
+
+  /**
+   * Holds writes while rate limited, they would only extend the rate limit.
+   * @param {Object} args
+   * @returns {Promise<*>}
+   */
+  async put(args) {
+    this._assertNotRateLimited();
+    return super.put(args);
+  }
+
   /*
    * This method overrides the base OAuth2Client because the Honeywell API returns a 200 with a
    * empty body while the Content-Ttype = application/json
@@ -123,6 +198,36 @@ class HoneywellOAuth2Client extends OAuth2Client {
     });
   }
 
+  /**
+   * Extends result handling from homey-oauth2app, a successful response means that the rate limit
+   * has been lifted.
+   * @param result
+   * @param status
+   * @param statusText
+   * @param headers
+   * @returns {Promise<*>}
+   */
+  async onHandleResult({
+    result,
+    status,
+    statusText,
+    headers,
+  }) {
+    if (this._rateLimitCount > 0) {
+      this._rateLimitCount = 0;
+      this._rateLimitedUntil = null;
+      this.log('onHandleResult() -> rate limit cleared');
+      this.emit('rateLimitCleared');
+    }
+
+    return super.onHandleResult({
+      result,
+      status,
+      statusText,
+      headers,
+    });
+  }
+
   /**
    * Override onRefreshToken method to append custom authorization header. If the Authorization
    * header is not changed the API will return a 401.
@@ -130,12 +235,13 @@ class HoneywellOAuth2Client extends OAuth2Client {
    */
   async onRefreshToken() {
     const token = this.getToken();
-    if (!token) throw new OAuth2Error('Missing Token');
+    if (!token || !token.isRefreshable()) {
+      this._onAuthorizationExpired();
+      throw new OAuth2Error(this.homey.__('authorizationExpired'));
+    }
 
     this.debug('Refreshing token...');
 
-    if (!token.isRefreshable()) throw new OAuth2Error('Token cannot be refreshed');
-
     const body = new URLSearchParams();
     body.append('grant_type', 'refresh_token');
     body.append('refresh_token', token.refresh_token);
@@ -147,6 +253,12 @@ class HoneywellOAuth2Client extends OAuth2Client {
         Authorization: `Basic ${Buffer.from(`${API_KEY}:${API_SECRET}`).toString('base64')}`,
       },
     });
+    // The refresh token is rejected when it expired or the authorization was revoked, other
+    // errors are temporary
+    if (response.status === 400 || response.status === 401) {
+      this._onAuthorizationExpired();
+      throw new OAuth2Error(this.homey.__('authorizationExpired'));
+    }
     if (!response.ok) throw new Error(`Invalid Response (${response.status})`);
 
     this._token = await this.onHandleRefreshTokenResponse({ response });
@@ -157,6 +269,42 @@ class HoneywellOAuth2Client extends OAuth2Client {
     return this.getToken();
   }
 
+  /**
+   * Marks the authorization as expired, the devices of the session become unavailable until the
+   * user logs in again.
+   * @private
+   */
+  _onAuthorizationExpired() {
+    if (this.isAuthorizationExpired()) return;
+
+    this._authorizationExpired = true;
+    this.error('_onAuthorizationExpired() -> token could not be refreshed, please re-authorize');
+    this.emit('authorizationExpired');
+  }
+
+  /**
+   * @private
+   */
+  _onAuthorizationRestored() {
+    if (!this.isAuthorizationExpired()) return;
+
+    this._authorizationExpired = false;
+    this.log('_onAuthorizationRestored() -> authorization restored');
+    this.emit('authorizationRestored');
+  }
+
+  /**
+   * Throws an error with the time the rate limit is expected to be lifted while rate limited.
+   * @private
+   */
+  _assertNotRateLimited() {
+    if (this.isRateLimited()) {
+      throw new Error(this.homey.__('rateLimitedUntil', {
+        time: formatTime(new Date(this._rateLimitedUntil), this.homey.clock.getTimezone()),
+      }));
+    }
+  }
+
   /**
    * Custom rate limit detector, the Honeywell API does not properly return a 429 on rate
    * limited, but a 500.
@@ -169,7 +317,7 @@ class HoneywellOAuth2Client extends OAuth2Client {
       this.error('_detectRateLimit() -> API error:', body.fault);
       if (Object.prototype.hasOwnProperty.call(body.fault, 'faultstring')) {
         if (body.fault.faultstring.includes('Rate limit quota violation.')) {
-          this.emit('rateLimited');
+          this._onRateLimited();
           return true;
         }
       }
@@ -177,6 +325,30 @@ class HoneywellOAuth2Client extends OAuth2Client {
     return false;
   }
 
+  /**
+   * Backs off exponentially (with jitter) on every rate limit that occurs after the previous
+   * backoff period ended. Rate limits of requests that ran concurrently do not count.
+   * @private
+   */
+  _onRateLimited() {
+    if (this.isRateLimited()) return;
+
+    this._rateLimitCount = (this._rateLimitCount || 0) + 1;
+
+    const backoff = Math.min(
+      RATE_LIMIT_BACKOFF * (2 ** (this._rateLimitCount - 1)),
+      RATE_LIMIT_MAX_BACKOFF,
+    );
+    const jitter = backoff * RATE_LIMIT_JITTER * Math.random();
+    this._rateLimitedUntil = Date.now() + Math.round(backoff + jitter);
+
+    this.log(`_onRateLimited() -> backing off until ${new Date(this._rateLimitedUntil).toISOString()}`);
+    this.emit('rateLimited', {
+      until: this._rateLimitedUntil,
+      count: this._rateLimitCount,
+    });
+  }
+
 }
 
 module.exports.HoneywellOAuth2Client = HoneywellOAuth2Client;
@@ -0,0 +1,254 @@
+'use strict';
+
+const { OAuth2Device } = require('homey-oauth2app');
+const { formatTime } = require('./HoneywellUtils');
+
+/*
+ * Base class for all Honeywell devices. Registers the device with the shared poller of its OAuth2
+ * session and makes it unavailable while the session is rate limited.
+ */
+class HoneywellOAuth2Device extends OAuth2Device {
+
+  /**
+   * Joins the session of the Honeywell account, binds the rate limit listeners and registers with
+   * the poller of the OAuth2 session, which fetches the initial data.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2Init() {
+    await this._joinAccountSession();
+
+    // Bind rate limit and authorization listeners to client
+    this._onRateLimited = this.onRateLimited.bind(this);
+    this._onRateLimitCleared = this.onRateLimitCleared.bind(this);
+    this._onAuthorizationExpired = this.onAuthorizationExpired.bind(this);
+    this._onAuthorizationRestored = this.onAuthorizationRestored.bind(this);
+    this._attachClient();
+  }
+
+  /**
+   * Adds the listeners to the client and registers with its poller, this also fetches the initial
+   * data.
+   * @private
+   */
+  _attachClient() {
+    this._attachedClient = this.oAuth2Client;
+    this.oAuth2Client.on('rateLimited', this._onRateLimited);
+    this.oAuth2Client.on('rateLimitCleared', this._onRateLimitCleared);
+    this.oAuth2Client.on('authorizationExpired', this._onAuthorizationExpired);
+    this.oAuth2Client.on('authorizationRestored', this._onAuthorizationRestored);
+
+    // Client may already be rate limited or expired by another device on the same session
+    if (this.oAuth2Client.isAuthorizationExpired()) {
+      this.onAuthorizationExpired();
+    } else if (this.oAuth2Client.isRateLimited()) {
+      this.onRateLimited({ until: this.oAuth2Client.getRateLimitedUntil() });
+    }
+
+    this.oAuth2Client.getPoller().register(this);
+  }
+
+  /**
+   * Unregisters from the poller and removes the listeners from the client.
+   * @private
+   */
+  _detachClient() {
+    this._attachedClient = null;
+    this.oAuth2Client.getPoller().unregister(this);
+    this.oAuth2Client.removeListener('rateLimited', this._onRateLimited);
+    this.oAuth2Client.removeListener('rateLimitCleared', this._onRateLimitCleared);
+    this.oAuth2Client.removeListener('authorizationExpired', this._onAuthorizationExpired);
+    this.oAuth2Client.removeListener('authorizationRestored', this._onAuthorizationRestored);
+  }
+
+  /**
+   * Moves the device to the session of its Honeywell account, so that all devices of an account
+   * share one session and token. Devices migrated from the legacy app, or paired with an older
+   * version, may each have their own session for the same account. A new session of the account
+   * takes over the token of the session that is left behind, so all devices of that session move
+   * along: two sessions with one token would invalidate each other's token on refresh. The session
+   * that is left behind is deleted once no devices use it. Also shows the account in the device
+   * settings.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _joinAccountSession() {
+    let account;
+    try {
+      if (!this.oAuth2Client.isRateLimited()) {
+        account = this.oAuth2Client.getAccount(await this.oAuth2Client.getPoller().getLocations());
+      }
+    } catch (err) {
+      this.error('_joinAccountSession() -> failed to get account', err);
+    }
+    if (!account) return;
+
+    const { app } = this.homey;
+    const { OAuth2SessionId: sessionId, OAuth2ConfigId: configId } = this.getStore();
+    if (sessionId !== account.id) {
+      let client;
+      try {
+        client = app.getOAuth2Client({ sessionId: account.id, configId });
+      } catch (err) {
+        client = app.createOAuth2Client({ sessionId: account.id, configId });
+        client.setToken({ token: this.oAuth2Client.getToken() });
+      }
+
+      const devices = await app.getOAuth2Devices({ sessionId, configId });
+      await Promise.all([this, ...devices.filter(device => device !== this)]
+        .map(device => device._moveToSession({ sessionId: account.id, client })));
+      app.tryCleanSession({ sessionId, configId });
+      this.log(`_joinAccountSession() -> moved from session ${sessionId} to ${account.id}`);
+    }
+
+    if (this.oAuth2Client.getTitle() !== account.title || sessionId !== account.id) {
+      this.oAuth2Client.setTitle({ title: account.title });
+      this.oAuth2Client.save();
+    }
+
+    if (this.getSetting('account') !== account.title) {
+      await this.setSettings({ account: account.title });
+    }
+  }
+
+  /**
+   * Moves the device to the client of another session. A device that was initialized already
+   * moves its listeners and poller registration along.
+   * @param {String} sessionId
+   * @param {OAuth2Client} client
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _moveToSession({ sessionId, client }) {
+    if (this.oAuth2Client !== client) {
+      const attached = !!this._attachedClient;
+      if (attached) this._detachClient();
+      this.oAuth2Client = client;
+      if (attached) this._attachClient();
+    }
+    await this.setStoreValue('OAuth2SessionId', sessionId);
+  }
+
+  /**
+   * Stop receiving polled data when the device is uninitialized.
+   * @returns {Promise<void>}
+   */
+  async onOAuth2Uninit() {
+    this._unbindClient();
+  }
+
+  /**
+   * Stop receiving polled data when device is deleted.
+   */
+  onOAuth2Deleted() {
+    this._unbindClient();
+
+    this.log('onOAuth2Deleted()');
+  }
+
+  /**
+   * Detaches the device from its client when it stops, subclasses extend this to stop their own
+   * work.
+   * @private
+   */
+  _unbindClient() {
+    this._detachClient();
+  }
+
+  /**
+   * Called by the poller with all locations of the OAuth2 session.
+   * @param {Array} locations
+   * @returns {Promise<void>}
+   */
+  async onPollLocations(locations) {
+    // Extend me
+  }
+
+  /**
+   * Event handler for rate limited API calls, shows when the rate limit is expected to be lifted.
+   * @param {number} until
+   */
+  onRateLimited({ until } = {}) {
+    this.log('onRateLimited()', until);
+    this._rateLimited = true;
+
+    const message = typeof until === 'number'
+      ? this.homey.__('rateLimitedUntil', {
+        time: formatTime(new Date(until), this.homey.clock.getTimezone()),
+      })
+      : this.homey.__('rateLimited');
+    this.setUnavailable(message).catch(this.error);
+  }
+
+  /**
+   * Event handler for the rate limit being lifted, restores availability. The next poll marks
+   * the device unavailable again if it is not alive.
+   */
+  onRateLimitCleared() {
+    if (!this._rateLimited) return;
+
+    this.log('onRateLimitCleared()');
+    this._rateLimited = false;
+    this.setAvailable().catch(this.error);
+  }
+
+  /**
+   * Event handler for an expired or revoked authorization, asks the user to repair the device.
+   */
+  onAuthorizationExpired() {
+    this.log('onAuthorizationExpired()');
+    this._authorizationExpired = true;
+    this.setUnavailable(this.homey.__('authorizationExpired')).catch(this.error);
+  }
+
+  /**
+   * Event handler for a new login on the session, restores availability. The next poll marks the
+   * device unavailable again if it is not alive.
+   */
+  onAuthorizationRestored() {
+    if (!this._authorizationExpired) return;
+
+    this.log('onAuthorizationRestored()');
+    this._authorizationExpired = false;
+    this.setAvailable().catch(this.error);
+  }
+
+  /**
+   * Getter for locationId property in store.
+   * @returns {string|*}
+   */
+  getLocationId() {
+    const locationId = this.getStoreValue('locationId');
+    if (typeof locationId !== 'string') throw new Error('invalid_location_id_in_store');
+    return locationId;
+  }
+
+  /**
+   * Returns the IANA time zone of the device's location, falls back to the time zone of Homey.
+   * @returns {string}
+   */
+  getTimeZone() {
+    const timeZone = this.getStoreValue('timeZone');
+    if (typeof timeZone === 'string') return timeZone;
+    return this.homey.clock.getTimezone();
+  }
+
+  /**
+   * Method that stores the time zone of the device's location and shows the name of the location
+   * in the device settings.
+   * @param {Object} location
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseLocation(location = {}) {
+    if (typeof location.ianaTimeZone === 'string'
+      && location.ianaTimeZone !== this.getStoreValue('timeZone')) {
+      await this.setStoreValue('timeZone', location.ianaTimeZone);
+    }
+    if (typeof location.name === 'string' && location.name !== this.getSetting('location')) {
+      await this.setSettings({ location: location.name });
+    }
+  }
+
+}
+
+module.exports = HoneywellOAuth2Device;
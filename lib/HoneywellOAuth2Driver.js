@@ -0,0 +1,64 @@
+'use strict';
+
+const { OAuth2Driver } = require('homey-oauth2app');
+
+/*
+ * Base class for all Honeywell drivers. Lists the devices of an account grouped by location and
+ * stores the account and location of every device in its settings.
+ */
+class HoneywellOAuth2Driver extends OAuth2Driver {
+
+  /**
+   * Method that is called when OAuth2 process has completed and app is ready to fetch devices
+   * from the Honeywell API. It will first fetch the locations, then the devices of every location
+   * ordered by location name. With more than one location the name of the location is added to
+   * the device name, so devices with the same name can be told apart.
+   * @param {OAuth2Client} oAuth2Client
+   * @returns {Promise}
+   */
+  async onPairListDevices({ oAuth2Client }) {
+    this.log('onPairListDevices()');
+
+    const locations = await oAuth2Client.getLocations();
+    if (!Array.isArray(locations)) {
+      throw new Error('Expected locations of type Array');
+    }
+
+    const account = oAuth2Client.getAccount(locations);
+    const sortedLocations = [...locations]
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+    const devices = [];
+    for (const location of sortedLocations) {
+      const locationDevices = await this.onPairListLocationDevices({ oAuth2Client, location });
+      locationDevices.forEach(device => {
+        devices.push({
+          ...device,
+          name: sortedLocations.length > 1 ? `${device.name} (${location.name})` : device.name,
+          settings: {
+            ...device.settings,
+            account: account.title,
+            location: location.name,
+          },
+        });
+      });
+    }
+
+    this.log(`onPairListDevices() -> found ${devices.length} devices`);
+    return devices;
+  }
+
+  /**
+   * Returns the devices of a single location of the account.
+   * @param {OAuth2Client} oAuth2Client
+   * @param {Object} location
+   * @returns {Promise<Array<Object>>}
+   */
+  async onPairListLocationDevices({ oAuth2Client, location }) {
+    // Extend me
+    return [];
+  }
+
+}
+
+module.exports = HoneywellOAuth2Driver;
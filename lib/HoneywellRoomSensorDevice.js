@@ -0,0 +1,124 @@
+'use strict';
+
+const HoneywellOAuth2Device = require('./HoneywellOAuth2Device');
+const { toCelsius, findLocationDevice } = require('./HoneywellUtils');
+
+const MEASURE_TEMPERATURE_STEP = 0.1;
+
+/*
+ * Wireless room sensor of a T9/T10 thermostat. The sensor values are read from the rooms of the
+ * thermostat, which the poller fetches every few minutes for all sensors of that thermostat.
+ */
+class HoneywellRoomSensorDevice extends HoneywellOAuth2Device {
+
+  /**
+   * Returns the id of the thermostat the sensor is connected to.
+   * @returns {string}
+   */
+  getThermostatId() {
+    const thermostatId = this.getStoreValue('thermostatId');
+    if (typeof thermostatId !== 'string') throw new Error('invalid_device_id_in_store');
+    return thermostatId;
+  }
+
+  /**
+   * Called by the poller with all locations of the OAuth2 session. Finds the thermostat of this
+   * sensor and parses the sensor values from its rooms.
+   * @param {Array} locations
+   * @returns {Promise<void>}
+   */
+  async onPollLocations(locations) {
+    const locationId = this.getLocationId();
+    const deviceId = this.getThermostatId();
+
+    const result = findLocationDevice(locations, { locationId, deviceId });
+    if (!result) {
+      this.error('onPollLocations() -> thermostat not found in locations');
+      await this._setAlive(false);
+      return;
+    }
+
+    await this._parseLocation(result.location);
+    if (!result.device.isAlive) {
+      await this._setAlive(false);
+      return;
+    }
+
+    const { rooms } = await this.oAuth2Client.getPoller().getRooms({ locationId, deviceId });
+    const accessory = this._findAccessory(rooms);
+    if (!accessory) {
+      this.error('onPollLocations() -> room sensor not found in rooms of thermostat');
+      await this._setAlive(false);
+      return;
+    }
+
+    await this._parseSensorValues(accessory.accessoryValue, result.device.units);
+  }
+
+  /**
+   * Returns the accessory of this sensor from the rooms of the thermostat, the sensor may have
+   * been moved to a different room.
+   * @param {Array} rooms
+   * @returns {Object|undefined}
+   * @private
+   */
+  _findAccessory(rooms = []) {
+    const accessoryId = this.getStoreValue('accessoryId');
+    for (const room of rooms) {
+      const accessory = (room.accessories || [])
+        .find(roomAccessory => roomAccessory.accessoryId === accessoryId);
+      if (accessory) return accessory;
+    }
+    return undefined;
+  }
+
+  /**
+   * Method that parses the sensor values into the capabilities.
+   * @param {Object} values
+   * @param {String} units - Units of the thermostat
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseSensorValues(values = {}, units) {
+    if (this.hasCapability('measure_temperature') && typeof values.indoorTemperature === 'number') {
+      await this.setCapabilityValue('measure_temperature', toCelsius(values.indoorTemperature, units, MEASURE_TEMPERATURE_STEP))
+        .catch(this.error);
+    }
+
+    if (this.hasCapability('measure_humidity') && typeof values.indoorHumidity === 'number') {
+      await this.setCapabilityValue('measure_humidity', values.indoorHumidity)
+        .catch(this.error);
+    }
+
+    if (this.hasCapability('alarm_motion') && typeof values.motionDet === 'boolean') {
+      await this.setCapabilityValue('alarm_motion', values.motionDet)
+        .catch(this.error);
+    }
+
+    if (this.hasCapability('custom_occupancy') && typeof values.occupancyDet === 'boolean') {
+      await this.setCapabilityValue('custom_occupancy', values.occupancyDet)
+        .catch(this.error);
+    }
+
+    if (this.hasCapability('alarm_battery') && typeof values.batteryStatus === 'string') {
+      await this.setCapabilityValue('alarm_battery', values.batteryStatus !== 'Ok')
+        .catch(this.error);
+    }
+
+    await this._setAlive(values.status === undefined || values.status === 'Ok');
+  }
+
+  /**
+   * Marks the device (un)available if necessary.
+   * @param {boolean} alive
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setAlive(alive) {
+    if (this.getAvailable() === false && alive) await this.setAvailable();
+    if (this.getAvailable() === true && !alive) await this.setUnavailable(this.homey.__('unavailable'));
+  }
+
+}
+
+module.exports = HoneywellRoomSensorDevice;
@@ -0,0 +1,75 @@
+'use strict';
+
+const HoneywellOAuth2Driver = require('./HoneywellOAuth2Driver');
+const { hasRoomSensors } = require('./HoneywellUtils');
+
+const ROOM_SENSOR_TYPE = 'IndoorAirSensor';
+
+class HoneywellRoomSensorDriver extends HoneywellOAuth2Driver {
+
+  /**
+   * Returns the wireless room sensors of a location. It fetches the rooms of every T9/T10
+   * thermostat of the location and lists each wireless room sensor as a device.
+   * @param {OAuth2Client} oAuth2Client
+   * @param {Object} location
+   * @returns {Promise<Array<Object>>}
+   */
+  async onPairListLocationDevices({ oAuth2Client, location }) {
+    const locationId = String(location.locationID);
+    const thermostats = location.devices.filter(hasRoomSensors);
+
+    const devices = [];
+    for (const thermostat of thermostats) {
+      const { rooms } = await oAuth2Client.getRooms({
+        locationId, deviceId: thermostat.deviceID,
+      });
+
+      (rooms || []).forEach(room => {
+        (room.accessories || []).forEach(accessory => {
+          if (!accessory.accessoryAttribute
+            || accessory.accessoryAttribute.type !== ROOM_SENSOR_TYPE) return;
+          devices.push(this._getDevice({
+            locationId, thermostat, room, accessory,
+          }));
+        });
+      });
+    }
+    return devices;
+  }
+
+  /**
+   * Returns the device data of a room sensor based on the Honeywell API data.
+   * @param {String} locationId
+   * @param {Object} thermostat
+   * @param {Object} room
+   * @param {Object} accessory
+   * @returns {Object}
+   * @private
+   */
+  _getDevice({
+    locationId, thermostat, room, accessory,
+  }) {
+    const values = accessory.accessoryValue || {};
+    const capabilities = [];
+
+    if (typeof values.indoorTemperature === 'number') capabilities.push('measure_temperature');
+    if (typeof values.indoorHumidity === 'number') capabilities.push('measure_humidity');
+    if (typeof values.motionDet === 'boolean') capabilities.push('alarm_motion');
+    if (typeof values.occupancyDet === 'boolean') capabilities.push('custom_occupancy');
+    if (typeof values.batteryStatus === 'string') capabilities.push('alarm_battery');
+
+    return {
+      name: room.name,
+      data: { id: `${thermostat.deviceID}-${accessory.accessoryId}` },
+      store: {
+        locationId,
+        thermostatId: thermostat.deviceID,
+        accessoryId: accessory.accessoryId,
+      },
+      capabilities,
+    };
+  }
+
+}
+
+module.exports = HoneywellRoomSensorDriver;
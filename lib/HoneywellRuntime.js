@@ -0,0 +1,115 @@
+'use strict';
+
+const RUNTIME_TYPES = ['heating', 'cooling', 'fan'];
+
+// Gaps between samples longer than this (e.g. Homey restarting) are not counted as runtime
+const MAX_SAMPLE_GAP = 10 * 60 * 1000; // 10 minutes
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/*
+ * Functions that accumulate the runtime of the heating, cooling and fan equipment from the
+ * equipment status of every poll. The state is a plain object so it can be kept in the device
+ * store and survives restarts:
+ *
+ * { sampledAt, running: { heating, cooling, fan }, date, weekStart, trackedToday,
+ *   today: { heating, cooling, fan }, thisWeek: {...}, total: {...} }
+ *
+ * Runtimes are in milliseconds, date and weekStart are the date (YYYY-MM-DD) of the current day
+ * and of the Monday of the current week in the location's time zone.
+ */
+
+/**
+ * Returns an object with zero runtime for every type.
+ * @returns {Object}
+ */
+function emptyRuntimes() {
+  return RUNTIME_TYPES.reduce((result, type) => ({ ...result, [type]: 0 }), {});
+}
+
+/**
+ * Returns the date and the date of the Monday of that week (both YYYY-MM-DD) in a time zone.
+ * @param {Date} now
+ * @param {String} timeZone
+ * @returns {{date: string, weekStart: string}}
+ */
+function getDateAndWeekStart(now, timeZone) {
+  const date = now.toLocaleDateString('en-CA', { timeZone }); // en-CA formats as YYYY-MM-DD
+  const midnight = new Date(`${date}T00:00:00Z`);
+  const daysSinceMonday = (midnight.getUTCDay() + 6) % 7;
+  const monday = new Date(midnight.getTime() - (daysSinceMonday * DAY));
+  return { date, weekStart: monday.toISOString().slice(0, 10) };
+}
+
+/**
+ * Adds the time since the previous sample to the runtime of the equipment that was running, and
+ * returns the new state. Daily and weekly runtimes reset when a new day or week starts.
+ * @param {Object|null} state - Previous state, null to start tracking
+ * @param {Object} running - Which equipment is running now, e.g. { heating: true, fan: true }
+ * @param {Date} now
+ * @param {String} timeZone
+ * @returns {Object}
+ */
+function updateRuntime(state, running, now, timeZone) {
+  const { date, weekStart } = getDateAndWeekStart(now, timeZone);
+  const result = {
+    sampledAt: now.getTime(),
+    running: RUNTIME_TYPES.reduce((acc, type) => ({ ...acc, [type]: !!running[type] }), {}),
+    date,
+    weekStart,
+    trackedToday: 0,
+    today: emptyRuntimes(),
+    thisWeek: emptyRuntimes(),
+    total: emptyRuntimes(),
+  };
+
+  if (!state) return result;
+
+  result.total = { ...emptyRuntimes(), ...state.total };
+  if (state.weekStart === weekStart) result.thisWeek = { ...emptyRuntimes(), ...state.thisWeek };
+  if (state.date === date) {
+    result.today = { ...emptyRuntimes(), ...state.today };
+    result.trackedToday = state.trackedToday || 0;
+  }
+
+  const elapsed = now.getTime() - state.sampledAt;
+  if (elapsed <= 0 || elapsed > MAX_SAMPLE_GAP) return result;
+
+  result.trackedToday += elapsed;
+  RUNTIME_TYPES.forEach(type => {
+    if (!state.running || !state.running[type]) return;
+    result.today[type] += elapsed;
+    result.thisWeek[type] += elapsed;
+    result.total[type] += elapsed;
+  });
+
+  return result;
+}
+
+/**
+ * Returns the percentage of today's tracked time during which the equipment was heating or
+ * cooling.
+ * @param {Object} state
+ * @returns {number}
+ */
+function getDutyCycle(state) {
+  if (!state || !state.trackedToday) return 0;
+  const active = state.today.heating + state.today.cooling;
+  return Math.round((active / state.trackedToday) * 1000) / 10;
+}
+
+/**
+ * Converts milliseconds to hours, rounded to two decimals.
+ * @param {Number} ms
+ * @returns {number}
+ */
+function toHours(ms) {
+  return Math.round(ms / 36000) / 100;
+}
+
+module.exports = {
+  RUNTIME_TYPES,
+  updateRuntime,
+  getDutyCycle,
+  toHours,
+};
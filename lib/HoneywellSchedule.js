@@ -0,0 +1,311 @@
+'use strict';
+
+const { toCelsius, fromCelsius } = require('./HoneywellUtils');
+
+const SCHEDULE_TYPE_TIMED = 'timed';
+const SCHEDULE_TYPE_GEOFENCE = 'geofence';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_GROUPS = {
+  everyday: DAYS,
+  weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+  weekend: ['Saturday', 'Sunday'],
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/*
+ * Functions that convert between the schedule format of the Honeywell API and the schedule model
+ * used in the app. The model is the same for every device; setpoints are in Celsius and times are
+ * HH:MM in the location's time zone.
+ *
+ * Timed schedule:
+ * { type: 'timed', subType, days: { Monday: [{ period, start, heatSetpoint, coolSetpoint }] } }
+ *
+ * Geofence schedule:
+ * { type: 'geofence', subType, home: { heatSetpoint, coolSetpoint }, away: {...},
+ *   sleep: { start, end, heatSetpoint, coolSetpoint } }
+ */
+
+/**
+ * Converts HH:MM(:SS) to minutes since midnight.
+ * @param {String} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return (hours * 60) + minutes;
+}
+
+/**
+ * Converts setpoints of the API to the model.
+ * @param {Object} period
+ * @param {String} units
+ * @returns {{heatSetpoint: number, coolSetpoint: number}}
+ */
+function parseSetpoints(period = {}, units) {
+  return {
+    heatSetpoint: toCelsius(period.heatSetPoint, units),
+    coolSetpoint: toCelsius(period.coolSetPoint, units),
+  };
+}
+
+/**
+ * Converts setpoints of the model to the API.
+ * @param {Object} period
+ * @param {String} units
+ * @returns {{heatSetPoint: number, coolSetPoint: number}}
+ */
+function serializeSetpoints(period = {}, units) {
+  return {
+    heatSetPoint: fromCelsius(period.heatSetpoint, units),
+    coolSetPoint: fromCelsius(period.coolSetpoint, units),
+  };
+}
+
+/**
+ * Converts a schedule returned by the API to the schedule model, cancelled periods are left out.
+ * @param {Object} schedule
+ * @param {String} units - Units of the device
+ * @returns {Object}
+ */
+function parseSchedule(schedule, units) {
+  if (!schedule || !schedule.scheduleType) {
+    throw new Error('invalid_schedule');
+  }
+
+  // Schedule type is either a string or an object with a type and sub type
+  const { scheduleType, scheduleSubType } = typeof schedule.scheduleType === 'string'
+    ? { scheduleType: schedule.scheduleType }
+    : schedule.scheduleType;
+
+  if (scheduleType === 'Timed' && schedule.timedSchedule && Array.isArray(schedule.timedSchedule.days)) {
+    const days = {};
+    schedule.timedSchedule.days.forEach(({ day, periods = [] }) => {
+      days[day] = periods
+        .filter(period => !period.isCancelled)
+        .map(period => ({
+          period: period.periodType,
+          start: period.periodStartTime.slice(0, 5),
+          ...parseSetpoints(period, units),
+        }));
+    });
+
+    return { type: SCHEDULE_TYPE_TIMED, subType: scheduleSubType, days };
+  }
+
+  if (scheduleType === 'Geofenced' && schedule.geoFenceSchedule) {
+    const { homePeriod, awayPeriod, sleepMode } = schedule.geoFenceSchedule;
+    const result = {
+      type: SCHEDULE_TYPE_GEOFENCE,
+      subType: scheduleSubType,
+      home: parseSetpoints(homePeriod, units),
+      away: parseSetpoints(awayPeriod, units),
+    };
+
+    if (sleepMode) {
+      result.sleep = {
+        start: sleepMode.startTime.slice(0, 5),
+        end: sleepMode.endTime.slice(0, 5),
+        ...parseSetpoints(sleepMode, units),
+      };
+    }
+
+    return result;
+  }
+
+  throw new Error('unsupported_schedule_type');
+}
+
+/**
+ * Converts the schedule model to the format of the API.
+ * @param {String} deviceId
+ * @param {Object} schedule
+ * @param {String} units - Units of the device
+ * @returns {Object}
+ */
+function serializeSchedule(deviceId, schedule, units) {
+  if (schedule.type === SCHEDULE_TYPE_TIMED) {
+    return {
+      deviceID: deviceId,
+      scheduleType: { scheduleType: 'Timed', scheduleSubType: schedule.subType },
+      timedSchedule: {
+        days: Object.keys(schedule.days).map(day => ({
+          day,
+          periods: schedule.days[day].map(period => ({
+            isCancelled: false,
+            periodType: period.period,
+            periodStartTime: `${period.start}:00`,
+            ...serializeSetpoints(period, units),
+          })),
+        })),
+      },
+    };
+  }
+
+  if (schedule.type === SCHEDULE_TYPE_GEOFENCE) {
+    const geoFenceSchedule = {
+      homePeriod: serializeSetpoints(schedule.home, units),
+      awayPeriod: serializeSetpoints(schedule.away, units),
+    };
+
+    if (schedule.sleep) {
+      geoFenceSchedule.sleepMode = {
+        startTime: `${schedule.sleep.start}:00`,
+        endTime: `${schedule.sleep.end}:00`,
+        ...serializeSetpoints(schedule.sleep, units),
+      };
+    }
+
+    return {
+      deviceID: deviceId,
+      scheduleType: { scheduleType: 'Geofenced', scheduleSubType: schedule.subType },
+      geoFenceSchedule,
+    };
+  }
+
+  throw new Error('unsupported_schedule_type');
+}
+
+/**
+ * Returns the names of all periods in a schedule.
+ * @param {Object} schedule
+ * @returns {Array<String>}
+ */
+function getPeriodNames(schedule) {
+  if (schedule.type === SCHEDULE_TYPE_GEOFENCE) {
+    return schedule.sleep ? ['Home', 'Away', 'Sleep'] : ['Home', 'Away'];
+  }
+
+  const names = new Set();
+  Object.values(schedule.days).forEach(periods => {
+    periods.forEach(({ period }) => names.add(period));
+  });
+  return [...names];
+}
+
+/**
+ * Returns a copy of the schedule with new setpoints for a period. For timed schedules day is a
+ * day of the week or one of 'everyday', 'weekdays' and 'weekend'; geofence schedules ignore it.
+ * @param {Object} schedule
+ * @param {String} day
+ * @param {String} period
+ * @param {Number} heatSetpoint
+ * @param {Number} coolSetpoint
+ * @returns {Object}
+ */
+function setPeriodSetpoints(schedule, {
+  day, period, heatSetpoint, coolSetpoint,
+}) {
+  const setpoints = { heatSetpoint, coolSetpoint };
+  if (typeof coolSetpoint !== 'number') delete setpoints.coolSetpoint;
+
+  if (schedule.type === SCHEDULE_TYPE_GEOFENCE) {
+    const key = period.toLowerCase();
+    if (!schedule[key]) throw new Error('unknown_schedule_period');
+    return { ...schedule, [key]: { ...schedule[key], ...setpoints } };
+  }
+
+  const days = DAY_GROUPS[day] || [day];
+  let found = false;
+  const result = { ...schedule, days: { ...schedule.days } };
+  days.forEach(dayName => {
+    if (!Array.isArray(result.days[dayName])) return;
+    result.days[dayName] = result.days[dayName].map(dayPeriod => {
+      if (dayPeriod.period !== period) return dayPeriod;
+      found = true;
+      return { ...dayPeriod, ...setpoints };
+    });
+  });
+
+  if (!found) throw new Error('unknown_schedule_period');
+  return result;
+}
+
+/**
+ * Returns the day of the week and the minutes since midnight of a date in a time zone.
+ * @param {Date} date
+ * @param {String} timeZone
+ * @returns {{day: number, minutes: number}}
+ */
+function getWeekTime(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    day: DAYS.indexOf(parts.weekday),
+    minutes: (Number(parts.hour) * 60) + Number(parts.minute),
+  };
+}
+
+/**
+ * Returns the period that is active at date and the period that follows it, both with their day,
+ * start time and setpoints. Geofence schedules only switch between home and sleep, away depends on
+ * the location of the users and can not be predicted.
+ * @param {Object} schedule
+ * @param {Date} date
+ * @param {String} timeZone
+ * @returns {{current: Object, next: Object}|null}
+ */
+function getCurrentAndNextPeriod(schedule, date, timeZone) {
+  const { day, minutes } = getWeekTime(date, timeZone);
+
+  if (schedule.type === SCHEDULE_TYPE_GEOFENCE) {
+    const home = { period: 'Home', ...schedule.home };
+    if (!schedule.sleep) return { current: home, next: home };
+
+    const start = toMinutes(schedule.sleep.start);
+    const end = toMinutes(schedule.sleep.end);
+    const isSleeping = start <= end
+      ? (minutes >= start && minutes < end)
+      : (minutes >= start || minutes < end);
+
+    const sleep = { period: 'Sleep', ...schedule.sleep };
+    if (isSleeping) {
+      return { current: sleep, next: { ...home, start: schedule.sleep.end } };
+    }
+    return { current: { ...home, start: schedule.sleep.end }, next: sleep };
+  }
+
+  // Flatten the week to a sorted list of periods with their start in minutes since Sunday 00:00
+  const periods = [];
+  DAYS.forEach((dayName, dayIndex) => {
+    (schedule.days[dayName] || []).forEach(period => {
+      periods.push({
+        ...period,
+        day: dayName,
+        weekMinutes: (dayIndex * MINUTES_PER_DAY) + toMinutes(period.start),
+      });
+    });
+  });
+  if (periods.length === 0) return null;
+  periods.sort((a, b) => a.weekMinutes - b.weekMinutes);
+
+  const now = (day * MINUTES_PER_DAY) + minutes;
+  let currentIndex = periods.length - 1; // Wraps around to the last period of the previous week
+  periods.forEach((period, index) => {
+    if (period.weekMinutes <= now) currentIndex = index;
+  });
+
+  const [current, next] = [periods[currentIndex], periods[(currentIndex + 1) % periods.length]]
+    .map(({ weekMinutes, ...period }) => period);
+  return { current, next };
+}
+
+module.exports = {
+  SCHEDULE_TYPE_TIMED,
+  SCHEDULE_TYPE_GEOFENCE,
+  parseSchedule,
+  serializeSchedule,
+  getPeriodNames,
+  setPeriodSetpoints,
+  getCurrentAndNextPeriod,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+const SETPOINT_STEP = 0.5;
+
+/*
+ * Validation of new heat and cool setpoints (in Celsius) against the limits of a thermostat.
+ * Errors have a code that matches a key in the errors section of the locales and tokens for
+ * its message.
+ */
+
+/**
+ * Creates an error with a locale code and message tokens.
+ * @param {String} code
+ * @param {Object} tokens
+ * @returns {Error}
+ */
+function createError(code, tokens) {
+  const err = new Error(code);
+  err.code = code;
+  err.tokens = tokens;
+  return err;
+}
+
+/**
+ * Throws when a setpoint is outside its limits.
+ * @param {Number} value
+ * @param {Number} [min]
+ * @param {Number} [max]
+ * @param {String} code
+ */
+function assertInRange(value, min, max, code) {
+  if ((typeof min === 'number' && value < min) || (typeof max === 'number' && value > max)) {
+    throw createError(code, { value, min, max });
+  }
+}
+
+/**
+ * Validates new setpoints and returns the setpoints to send. Changed setpoints outside the limits
+ * of the device are rejected. The cooling setpoint must stay above the heating setpoint, in Auto
+ * mode at least the deadband above it: when only one of them changed the other one is pushed
+ * out, when that is not possible within its limits the change is rejected.
+ * @param {Number} [heatSetpoint] - Omit for cool only thermostats
+ * @param {Number} [coolSetpoint] - Omit for heat only thermostats
+ * @param {Object} changed - Which setpoints were changed, e.g. { heat: true }
+ * @param {String} [mode] - Mode the thermostat will be in
+ * @param {Object} limits - { minHeat, maxHeat, minCool, maxCool, deadband }
+ * @returns {{heatSetpoint: number, coolSetpoint: number}}
+ */
+function validateSetpoints({
+  heatSetpoint, coolSetpoint, changed = {}, mode,
+}, limits = {}) {
+  if (changed.heat) {
+    assertInRange(heatSetpoint, limits.minHeat, limits.maxHeat, 'heatSetpointOutOfRange');
+  }
+
+  if (typeof coolSetpoint !== 'number') return { heatSetpoint, coolSetpoint };
+
+  if (changed.cool) {
+    assertInRange(coolSetpoint, limits.minCool, limits.maxCool, 'coolSetpointOutOfRange');
+  }
+
+  // Cool only thermostats have no heating setpoint to keep apart from
+  if (typeof heatSetpoint !== 'number') return { heatSetpoint, coolSetpoint };
+
+  const deadband = mode === 'Auto' && typeof limits.deadband === 'number' ? limits.deadband : 0;
+  if (coolSetpoint - heatSetpoint >= deadband || (!changed.heat && !changed.cool)) {
+    return { heatSetpoint, coolSetpoint };
+  }
+
+  const tooCloseError = createError('setpointsTooClose', { deadband });
+  if (changed.heat && changed.cool) throw tooCloseError;
+
+  // Push the setpoint that was not changed out, rounded away from the changed one
+  if (changed.heat) {
+    const pushed = Math.ceil((heatSetpoint + deadband) / SETPOINT_STEP) * SETPOINT_STEP;
+    if (typeof limits.maxCool === 'number' && pushed > limits.maxCool) throw tooCloseError;
+    return { heatSetpoint, coolSetpoint: pushed };
+  }
+
+  const pushed = Math.floor((coolSetpoint - deadband) / SETPOINT_STEP) * SETPOINT_STEP;
+  if (typeof limits.minHeat === 'number' && pushed < limits.minHeat) throw tooCloseError;
+  return { heatSetpoint: pushed, coolSetpoint };
+}
+
+module.exports = {
+  validateSetpoints,
+};
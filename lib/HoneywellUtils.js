@@ -1,5 +1,10 @@
 'use strict';
 
+const UNIT_CELSIUS = 'Celsius';
+const UNIT_FAHRENHEIT = 'Fahrenheit';
+const CELSIUS_STEP = 0.5;
+const FAHRENHEIT_STEP = 1;
+
 /**
  * Fahrenheit to Celsius converter.
  *
@@ -20,8 +25,164 @@ function ctof(c) {
   return (c * 1.8) + 32;
 }
 
+/**
+ * Rounds a value to the nearest multiple of step, without floating point noise.
+ * @param {Number} value
+ * @param {Number} step
+ * @returns {number}
+ */
+function roundToStep(value, step) {
+  return Number((Math.round(value / step) * step).toFixed(2));
+}
+
+/**
+ * Converts a temperature reported by the device in its own units to Celsius, rounded to step.
+ * Setpoints use the default step of 0.5, which is less than one degree Fahrenheit so converting
+ * the result back with fromCelsius always yields the original value.
+ * @param {Number} value
+ * @param {String} units - Units reported by the device, 'Celsius' or 'Fahrenheit'
+ * @param {Number} [step]
+ * @returns {number}
+ */
+function toCelsius(value, units, step = CELSIUS_STEP) {
+  if (typeof value !== 'number') return value;
+  if (units !== UNIT_FAHRENHEIT) return roundToStep(value, step);
+  return roundToStep(ftoc(value), step);
+}
+
+/**
+ * Converts a temperature in Celsius to the units of the device, rounded to the step the device
+ * accepts (0.5 for Celsius, 1 for Fahrenheit).
+ * @param {Number} value
+ * @param {String} units - Units reported by the device, 'Celsius' or 'Fahrenheit'
+ * @returns {number}
+ */
+function fromCelsius(value, units) {
+  if (typeof value !== 'number') return value;
+  if (units !== UNIT_FAHRENHEIT) return roundToStep(value, CELSIUS_STEP);
+  return roundToStep(ctof(value), FAHRENHEIT_STEP);
+}
+
+/**
+ * Finds a device and its location in the response of getLocations().
+ * @param {Array} locations
+ * @param {String} locationId
+ * @param {String} deviceId
+ * @returns {{location: Object, device: Object}|null}
+ */
+function findLocationDevice(locations, { locationId, deviceId }) {
+  if (!Array.isArray(locations)) return null;
+
+  for (const location of locations) {
+    if (String(location.locationID) !== locationId || !Array.isArray(location.devices)) continue;
+
+    const device = location.devices.find(locationDevice => locationDevice.deviceID === deviceId);
+    if (device) return { location, device };
+  }
+  return null;
+}
+
+/**
+ * Formats the time of a date as HH:MM in the given time zone.
+ * @param {Date} date
+ * @param {String} timeZone
+ * @returns {string}
+ */
+function formatTime(date, timeZone) {
+  return date.toLocaleTimeString('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+}
+
+/**
+ * Formats a date as YYYY-MM-DD HH:MM in the given time zone.
+ * @param {Date} date
+ * @param {String} timeZone
+ * @returns {string}
+ */
+function formatDateTime(date, timeZone) {
+  return `${date.toLocaleDateString('en-CA', { timeZone })} ${formatTime(date, timeZone)}`;
+}
+
+/**
+ * Returns the first moment from now on at which the clock in the given time zone shows time.
+ * @param {String} time - HH:MM
+ * @param {String} timeZone
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function getNextTimeOfDay(time, timeZone, now = new Date()) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time);
+  if (!match) throw new Error('invalid_time');
+
+  const [hours, minutes] = formatTime(now, timeZone).split(':').map(Number);
+  const minutesOfDay = (hours * 60) + minutes;
+  const targetMinutesOfDay = (Number(match[1]) * 60) + Number(match[2]);
+
+  let difference = targetMinutesOfDay - minutesOfDay;
+  if (difference <= 0) difference += 24 * 60;
+
+  const date = new Date(now.getTime() + (difference * 60 * 1000));
+  date.setSeconds(0, 0);
+  return date;
+}
+
+/**
+ * Rounds a date up to the next quarter of an hour, the Honeywell API only accepts hold end times
+ * in 15 minute increments.
+ * @param {Date} date
+ * @returns {Date}
+ */
+function ceilToQuarterHour(date) {
+  const quarter = 15 * 60 * 1000;
+  return new Date(Math.ceil(date.getTime() / quarter) * quarter);
+}
+
+/**
+ * Returns true for thermostats, the locations also contain other devices such as water leak
+ * detectors.
+ * @param {Object} device
+ * @returns {boolean}
+ */
+function isThermostat(device = {}) {
+  return typeof device.deviceClass !== 'string' || device.deviceClass === 'Thermostat';
+}
+
+/**
+ * Returns true for water leak detectors.
+ * @param {Object} device
+ * @returns {boolean}
+ */
+function isWaterLeakDetector(device = {}) {
+  return device.deviceClass === 'LeakDetector';
+}
+
+/**
+ * Returns true for thermostats that support wireless room sensors and room priority (T9 and T10).
+ * @param {Object} device
+ * @returns {boolean}
+ */
+function hasRoomSensors(device = {}) {
+  return typeof device.deviceModel === 'string' && device.deviceModel.includes('T9-T10');
+}
 
 module.exports = {
+  UNIT_CELSIUS,
+  UNIT_FAHRENHEIT,
   ftoc,
   ctof,
+  roundToStep,
+  toCelsius,
+  fromCelsius,
+  findLocationDevice,
+  formatTime,
+  formatDateTime,
+  getNextTimeOfDay,
+  ceilToQuarterHour,
+  isThermostat,
+  isWaterLeakDetector,
+  hasRoomSensors,
 };
@@ -0,0 +1,166 @@
+'use strict';
+
+const HoneywellOAuth2Device = require('./HoneywellOAuth2Device');
+const { toCelsius, findLocationDevice, formatDateTime } = require('./HoneywellUtils');
+
+const MEASURE_TEMPERATURE_STEP = 0.1;
+
+// Used when the detector does not report its low temperature alert limit
+const FREEZE_TEMPERATURE = 0; // °C
+
+// Detectors check in a few times a day, after this long without a check-in the detector is
+// considered to be offline
+const CHECKIN_TIMEOUT = 48 * 60 * 60 * 1000; // 48 hours
+
+/*
+ * Lyric water leak and freeze detector. Detectors only connect to the Honeywell API to check in
+ * periodically (or immediately when they detect a leak), polling only picks up the last values
+ * they reported.
+ */
+class HoneywellWaterLeakDevice extends HoneywellOAuth2Device {
+
+  /**
+   * Called by the poller with all locations of the OAuth2 session. Parses the data of this
+   * detector from it, falls back to fetching the detector if the locations do not contain its
+   * readings.
+   * @param {Array} locations
+   * @returns {Promise<void>}
+   */
+  async onPollLocations(locations) {
+    const result = findLocationDevice(locations, {
+      locationId: this.getLocationId(), deviceId: this.getData().id,
+    });
+
+    if (result) {
+      await this._parseLocation(result.location);
+    }
+
+    if (result && typeof result.device.waterPresent === 'boolean') {
+      await this._parseDetectorData(result.device);
+      return;
+    }
+
+    this.log('onPollLocations() -> detector readings not found in locations, fetching detector');
+    const detectorData = await this.oAuth2Client.getWaterLeakDetector({
+      locationId: this.getLocationId(), deviceId: this.getData().id,
+    });
+    await this._parseDetectorData(detectorData);
+  }
+
+  /**
+   * Method that parses the detector data into the capabilities.
+   * @param {Object} detectorData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseDetectorData(detectorData = {}) {
+    await this._parseWaterPresent(detectorData);
+    await this._parseSensorReadings(detectorData);
+
+    if (typeof detectorData.batteryRemaining === 'number') {
+      await this.setCapabilityValue('measure_battery', detectorData.batteryRemaining)
+        .catch(this.error);
+    }
+
+    await this._parseCheckin(detectorData);
+  }
+
+  /**
+   * Method that parses whether the detector detects water, triggers a Flow when a leak starts.
+   * @param {Object} detectorData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseWaterPresent(detectorData = {}) {
+    if (typeof detectorData.waterPresent !== 'boolean') {
+      this.error('_parseWaterPresent() -> expected detector to have waterPresent property');
+      return;
+    }
+
+    const previousValue = this.getCapabilityValue('alarm_water');
+    await this.setCapabilityValue('alarm_water', detectorData.waterPresent)
+      .catch(this.error);
+
+    if (detectorData.waterPresent && previousValue === false) {
+      this.homey.flow.getDeviceTriggerCard('leak_detected')
+        .trigger(this)
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Method that parses the temperature and humidity, triggers a Flow when the temperature drops
+   * to the freeze limit.
+   * @param {Object} detectorData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseSensorReadings(detectorData = {}) {
+    const readings = detectorData.currentSensorReadings || {};
+
+    if (typeof readings.humidity === 'number') {
+      await this.setCapabilityValue('measure_humidity', readings.humidity)
+        .catch(this.error);
+    }
+
+    if (typeof readings.temperature !== 'number') return;
+
+    const { units } = detectorData;
+    const temperature = toCelsius(readings.temperature, units, MEASURE_TEMPERATURE_STEP);
+    const previousTemperature = this.getCapabilityValue('measure_temperature');
+    await this.setCapabilityValue('measure_temperature', temperature)
+      .catch(this.error);
+
+    const freezeTemperature = this._getFreezeTemperature(detectorData);
+    if (typeof previousTemperature === 'number'
+      && previousTemperature > freezeTemperature
+      && temperature <= freezeTemperature) {
+      this.homey.flow.getDeviceTriggerCard('freeze_detected')
+        .trigger(this, { temperature })
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Returns the low temperature alert limit configured in the Honeywell app, in Celsius.
+   * @param {Object} detectorData
+   * @returns {number}
+   * @private
+   */
+  _getFreezeTemperature(detectorData = {}) {
+    const { deviceSettings } = detectorData;
+    if (deviceSettings && deviceSettings.temp && deviceSettings.temp.low
+      && typeof deviceSettings.temp.low.limit === 'number') {
+      return toCelsius(deviceSettings.temp.low.limit, detectorData.units, MEASURE_TEMPERATURE_STEP);
+    }
+    return FREEZE_TEMPERATURE;
+  }
+
+  /**
+   * Method that parses the last check-in, the detector becomes unavailable when it is offline or
+   * did not check in for too long.
+   * @param {Object} detectorData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseCheckin(detectorData = {}) {
+    const lastCheckin = new Date(detectorData.lastCheckin);
+    const hasCheckedIn = !Number.isNaN(lastCheckin.getTime());
+
+    if (hasCheckedIn) {
+      await this.setCapabilityValue('custom_last_checkin', formatDateTime(lastCheckin, this.getTimeZone()))
+        .catch(this.error);
+    }
+
+    const alive = detectorData.isAlive !== false
+      && detectorData.isDeviceOffline !== true
+      && (!hasCheckedIn || Date.now() - lastCheckin.getTime() < CHECKIN_TIMEOUT);
+
+    // Set (un)available if necessary
+    if (this.getAvailable() === false && alive) await this.setAvailable();
+    if (this.getAvailable() === true && !alive) await this.setUnavailable(this.homey.__('noCheckin'));
+  }
+
+}
+
+module.exports = HoneywellWaterLeakDevice;
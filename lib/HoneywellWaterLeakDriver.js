@@ -0,0 +1,26 @@
+'use strict';
+
+const HoneywellOAuth2Driver = require('./HoneywellOAuth2Driver');
+const { isWaterLeakDetector } = require('./HoneywellUtils');
+
+class HoneywellWaterLeakDriver extends HoneywellOAuth2Driver {
+
+  /**
+   * Returns the water leak detectors of a location.
+   * @param {OAuth2Client} oAuth2Client
+   * @param {Object} location
+   * @returns {Promise<Array<Object>>}
+   */
+  async onPairListLocationDevices({ oAuth2Client, location }) {
+    return location.devices.filter(isWaterLeakDetector).map(device => ({
+      name: device.userDefinedDeviceName,
+      data: { id: device.deviceID },
+      store: {
+        locationId: String(location.locationID),
+      },
+    }));
+  }
+
+}
+
+module.exports = HoneywellWaterLeakDriver;
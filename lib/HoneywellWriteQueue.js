@@ -0,0 +1,110 @@
+'use strict';
+
+const WRITE_DELAY = 1000; // 1 second
+
+/*
+ * This class coalesces rapid changes (e.g. dragging a slider, or a Flow setting mode and setpoints
+ * with separate cards) into a single write. Changes pushed within the delay are merged, writes
+ * never run concurrently and every caller receives the outcome of the write that included its
+ * change.
+ */
+class HoneywellWriteQueue {
+
+  /**
+   * @param {Homey} homey
+   * @param {Function} write - Performs the write of the merged changes, returns a Promise
+   * @param {Function} [merge] - Merges a change into the pending changes, returns the result
+   * @param {number} [delay]
+   */
+  constructor({
+    homey, write, merge = (pending, change) => ({ ...pending, ...change }), delay = WRITE_DELAY,
+  }) {
+    this.homey = homey;
+    this._write = write;
+    this._merge = merge;
+    this._delay = delay;
+
+    this._pending = null;
+    this._timeout = null;
+    this._writing = null;
+  }
+
+  /**
+   * Adds a change to the pending write and (re)starts the delay.
+   * @param {Object} change
+   * @returns {Promise<*>} Resolves or rejects with the outcome of the write
+   */
+  push(change) {
+    if (!this._pending) {
+      this._pending = { changes: {}, callbacks: [] };
+    }
+    this._pending.changes = this._merge(this._pending.changes, change);
+
+    return new Promise((resolve, reject) => {
+      this._pending.callbacks.push({ resolve, reject });
+      this._schedule();
+    });
+  }
+
+  /**
+   * Cancels the pending write, its callers are rejected.
+   */
+  destroy() {
+    this._clear();
+    if (this._pending) {
+      this._pending.callbacks.forEach(({ reject }) => reject(new Error('write_cancelled')));
+      this._pending = null;
+    }
+  }
+
+  /**
+   * Writes the pending changes, unless a write is in progress. Changes pushed meanwhile are
+   * written when it finishes.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flush() {
+    this._clear();
+    if (this._writing || !this._pending) return;
+
+    const { changes, callbacks } = this._pending;
+    this._pending = null;
+
+    this._writing = Promise.resolve().then(() => this._write(changes));
+    try {
+      const result = await this._writing;
+      callbacks.forEach(({ resolve }) => resolve(result));
+    } catch (err) {
+      callbacks.forEach(({ reject }) => reject(err));
+    } finally {
+      this._writing = null;
+      if (this._pending && !this._timeout) {
+        this._flush();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _schedule() {
+    this._clear();
+    this._timeout = this.homey.setTimeout(() => {
+      this._timeout = null;
+      this._flush();
+    }, this._delay);
+  }
+
+  /**
+   * @private
+   */
+  _clear() {
+    if (this._timeout) {
+      this.homey.clearTimeout(this._timeout);
+    }
+    this._timeout = null;
+  }
+
+}
+
+module.exports = HoneywellWriteQueue;
@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert');
+
+const { startServer, createClient, assertRejects } = require('./support');
+const {
+  LOCATION_ID, T6_ID, USER_ID, createLocations,
+} = require('./support/fixtures');
+
+const THERMOSTAT_PATH = `/v2/devices/thermostats/${T6_ID}`;
+
+describe('HoneywellLyricClient', function() {
+  let server;
+  let client;
+
+  before(async function() {
+    server = await startServer();
+  });
+
+  after(async function() {
+    await server.stop();
+  });
+
+  beforeEach(function() {
+    server.requests = [];
+    server.locations = createLocations();
+    client = createClient(server);
+  });
+
+  const getWrittenValues = () => {
+    const [request] = server.getRequests(THERMOSTAT_PATH, 'POST').slice(-1);
+    return JSON.parse(request.body);
+  };
+
+  describe('setThermostat', function() {
+    it('completes the write with the current device values', async function() {
+      await client.setThermostat({
+        locationId: LOCATION_ID, deviceId: T6_ID, heatSetpoint: 21.5,
+      });
+
+      assert.deepStrictEqual(getWrittenValues(), {
+        mode: 'Heat',
+        heatSetpoint: 21.5,
+        coolSetpoint: 24,
+        thermostatSetpointStatus: 'NoHold',
+        autoChangeoverActive: false,
+      });
+      assert.strictEqual(server.getDevice(T6_ID).changeableValues.heatSetpoint, 21.5);
+    });
+
+    it('uses the requested end time of a HoldUntil', async function() {
+      await client.setThermostat({
+        locationId: LOCATION_ID,
+        deviceId: T6_ID,
+        heatSetpoint: 19,
+        thermostatSetpointStatus: 'HoldUntil',
+        nextPeriodTime: '18:15:00',
+      });
+
+      const values = getWrittenValues();
+      assert.strictEqual(values.thermostatSetpointStatus, 'HoldUntil');
+      assert.strictEqual(values.nextPeriodTime, '18:15:00');
+    });
+
+    it('falls back to the next period time of the device for a HoldUntil', async function() {
+      await client.setThermostat({
+        locationId: LOCATION_ID, deviceId: T6_ID, heatSetpoint: 19, thermostatSetpointStatus: 'HoldUntil',
+      });
+
+      const values = getWrittenValues();
+      assert.strictEqual(values.thermostatSetpointStatus, 'HoldUntil');
+      assert.strictEqual(values.nextPeriodTime, '22:00:00');
+    });
+
+    it('falls back to a PermanentHold when the device has no next period time', async function() {
+      delete server.getDevice(T6_ID).changeableValues.nextPeriodTime;
+
+      await client.setThermostat({
+        locationId: LOCATION_ID, deviceId: T6_ID, heatSetpoint: 19, thermostatSetpointStatus: 'HoldUntil',
+      });
+
+      const values = getWrittenValues();
+      assert.strictEqual(values.thermostatSetpointStatus, 'PermanentHold');
+      assert.strictEqual(values.nextPeriodTime, undefined);
+    });
+
+    it('fetches the device before writing', async function() {
+      await client.setThermostat({ locationId: LOCATION_ID, deviceId: T6_ID, mode: 'Cool' });
+      assert.strictEqual(server.getRequests(THERMOSTAT_PATH, 'GET').length, 1);
+    });
+
+    it('reuses recent device data instead of fetching the device', async function() {
+      const deviceData = server.getDevice(T6_ID);
+      await client.setThermostat({
+        locationId: LOCATION_ID, deviceId: T6_ID, mode: 'Cool', deviceData,
+      });
+
+      assert.strictEqual(server.getRequests(THERMOSTAT_PATH, 'GET').length, 0);
+      assert.strictEqual(getWrittenValues().mode, 'Cool');
+    });
+
+    it('rejects invalid ids', async function() {
+      await assertRejects(client.setThermostat({ locationId: LOCATION_ID }), /invalid_device_id/);
+      await assertRejects(client.setThermostat({ deviceId: T6_ID }), /invalid_location_id/);
+    });
+  });
+
+  describe('onGetOAuth2SessionInformation', function() {
+    it('identifies the session by the logged in user of the account', async function() {
+      server.locations.push({ locationID: 42, name: 'Cottage', devices: [] });
+
+      const session = await client.onGetOAuth2SessionInformation();
+      assert.deepStrictEqual(session, { id: `user-${USER_ID}`, title: 'Cottage, Home' });
+    });
+
+    it('identifies the session by the locations when the user is not reported', async function() {
+      server.locations.forEach(location => delete location.users);
+      server.locations.push({ locationID: 42, name: 'Cottage', devices: [] });
+
+      const session = await client.onGetOAuth2SessionInformation();
+      assert.deepStrictEqual(session, { id: `account-42-${LOCATION_ID}`, title: 'Cottage, Home' });
+    });
+  });
+
+  describe('resumeSchedule', function() {
+    it('writes NoHold', async function() {
+      server.getDevice(T6_ID).changeableValues.thermostatSetpointStatus = 'PermanentHold';
+
+      await client.resumeSchedule({ locationId: LOCATION_ID, deviceId: T6_ID });
+      assert.strictEqual(getWrittenValues().thermostatSetpointStatus, 'NoHold');
+    });
+  });
+});
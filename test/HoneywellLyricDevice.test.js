@@ -0,0 +1,793 @@
+'use strict';
+
+const assert = require('assert');
+
+const Homey = require('homey');
+const {
+  startServer, createClient, createApp, assertRejects,
+} = require('./support');
+const TThermostatDriver = require('../drivers/tthermostat/driver');
+const TThermostatDevice = require('../drivers/tthermostat/device');
+const RoomSensorDevice = require('../drivers/roomsensor/device');
+const WaterLeakDetectorDevice = require('../drivers/waterleakdetector/device');
+const {
+  LOCATION_ID, T6_ID, T9_ID, LEAK_DETECTOR_ID, USER_ID, createLocations,
+} = require('./support/fixtures');
+
+/**
+ * Creates a device the way it would be created after pairing, connected to the client.
+ * @param {Function} Device
+ * @param {Object} deviceData - Result of the driver's _getDevice
+ * @param {HoneywellLyricClient} client
+ * @returns {HoneywellOAuth2Device}
+ */
+function createDevice(Device, deviceData, client) {
+  const device = new Device({
+    homey: client.homey,
+    ...deviceData,
+    store: {
+      ...deviceData.store,
+      OAuth2SessionId: Object.keys(client.homey.app.clients)
+        .find(sessionId => client.homey.app.clients[sessionId] === client),
+      OAuth2ConfigId: 'default',
+    },
+  });
+  device.driver = new TThermostatDriver({ homey: client.homey });
+  device.oAuth2Client = client;
+  client.homey.app.devices.push(device);
+  return device;
+}
+
+describe('HoneywellLyricDevice', function() {
+  let server;
+  let client;
+
+  before(async function() {
+    server = await startServer();
+  });
+
+  after(async function() {
+    await server.stop();
+  });
+
+  beforeEach(function() {
+    server.locations = createLocations();
+    const homey = Homey.createHomey();
+    homey.app = createApp(server, homey);
+    client = homey.app.createOAuth2Client({ sessionId: 'session-1' });
+  });
+
+  const pairThermostat = deviceId => {
+    const [location] = server.locations;
+    const device = location.devices.find(locationDevice => locationDevice.deviceID === deviceId);
+    const driver = new TThermostatDriver({ homey: client.homey });
+    return createDevice(TThermostatDevice, driver._getDevice({ device, location }), client);
+  };
+
+  describe('onPollLocations', function() {
+    it('parses the values of a Celsius thermostat', async function() {
+      const device = pairThermostat(T6_ID);
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getCapabilityValue('measure_temperature'), 20.5);
+      assert.strictEqual(device.getCapabilityValue('target_temperature'), 20);
+      assert.strictEqual(device.getCapabilityValue('target_temperature.cool'), 24);
+      assert.strictEqual(device.getCapabilityValue('thermostat_mode'), 'heat');
+      assert.strictEqual(device.getMode(), 'Heat');
+      assert.strictEqual(device.getCapabilityValue('fan_mode'), 'Auto');
+      assert.strictEqual(device.getCapabilityValue('measure_humidity'), 48);
+      assert.strictEqual(device.getCapabilityValue('measure_temperature.outdoor'), 11);
+      assert.strictEqual(device.getCapabilityValue('custom_hold_status'), 'NoHold');
+      assert.strictEqual(device.getCapabilityValue('custom_hold_until'), '-');
+      assert.strictEqual(device.getCapabilityValue('custom_equipment_status'), 'heating');
+      assert.strictEqual(device.getStoreValue('deadband'), 1.5);
+      assert.strictEqual(device.getStoreValue('timeZone'), 'Europe/Amsterdam');
+      assert.strictEqual(device.getAvailable(), true);
+    });
+
+    it('converts the values of a Fahrenheit thermostat to Celsius', async function() {
+      const device = pairThermostat(T9_ID);
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getCapabilityValue('measure_temperature'), 20);
+      assert.strictEqual(device.getCapabilityValue('target_temperature'), 19);
+      assert.strictEqual(device.getCapabilityValue('thermostat_mode'), 'heat');
+      assert.strictEqual(device.getCapabilityValue('custom_hold_status'), 'HoldUntil');
+      assert.strictEqual(device.getCapabilityValue('custom_hold_until'), '06:30');
+      assert.strictEqual(device.getCapabilityValue('custom_priority_type'), 'PickARoom');
+      assert.strictEqual(device.getCapabilityValue('custom_priority_rooms'), 'Bedroom');
+      assert.strictEqual(device.getSetting('units'), 'Fahrenheit');
+    });
+
+    it('shows the renamed location in the settings', async function() {
+      const device = pairThermostat(T6_ID);
+      server.locations[0].name = 'Holiday home';
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getSetting('location'), 'Holiday home');
+    });
+
+    it('triggers Flows when values change, but not on the first poll', async function() {
+      const device = pairThermostat(T6_ID);
+      await device.onPollLocations(await client.getLocations());
+      assert.deepStrictEqual(client.homey.flow.triggered, []);
+
+      const { changeableValues, operationStatus } = server.getDevice(T6_ID);
+      changeableValues.mode = 'Cool';
+      changeableValues.coolSetpoint = 23;
+      operationStatus.mode = 'Cool';
+      server.getDevice(T6_ID).settings.fan.changeableValues.mode = 'On';
+      await device.onPollLocations(await client.getLocations());
+
+      const triggered = client.homey.flow.triggered
+        .filter(({ id }) => id !== 'runtime_exceeded')
+        .map(({ id, tokens }) => ({ id, tokens }))
+        .sort((a, b) => a.id.localeCompare(b.id));
+      assert.deepStrictEqual(triggered, [
+        { id: 'custom_ac_mode_changed', tokens: { custom_ac_mode: 'Cool' } },
+        { id: 'equipment_started_cooling', tokens: undefined },
+        { id: 'fan_mode_changed', tokens: { fan_mode: 'On' } },
+        { id: 'target_temperature.cool_changed', tokens: { 'target_temperature.cool': 23 } },
+        { id: 'thermostat_mode_changed', tokens: {} },
+      ]);
+      const { state } = client.homey.flow.triggered.find(({ id }) => id === 'thermostat_mode_changed');
+      assert.deepStrictEqual(state, { thermostat_mode: 'cool' });
+    });
+
+    it('triggers the legacy mode Flows when emergency heat is switched on', async function() {
+      const device = pairThermostat(T6_ID);
+      await device.onPollLocations(await client.getLocations());
+
+      server.getDevice(T6_ID).changeableValues.mode = 'EmergencyHeat';
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getCapabilityValue('thermostat_mode'), 'heat');
+      const triggered = client.homey.flow.triggered
+        .filter(({ id }) => id === 'thermostat_mode_changed' || id === 'custom_ac_mode_changed')
+        .map(({ id, tokens, state }) => ({ id, tokens, state }));
+      assert.deepStrictEqual(triggered, [
+        { id: 'thermostat_mode_changed', tokens: {}, state: { thermostat_mode: 'emergencyheat' } },
+        { id: 'custom_ac_mode_changed', tokens: { custom_ac_mode: 'EmergencyHeat' }, state: undefined },
+      ]);
+    });
+
+    it('marks the thermostat unavailable when it is offline', async function() {
+      const device = pairThermostat(T6_ID);
+      server.getDevice(T6_ID).isAlive = false;
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getAvailable(), false);
+      assert.strictEqual(device._unavailableMessage, client.homey.__('unavailable'));
+    });
+
+    it('fetches the device when it is not part of the locations', async function() {
+      const device = pairThermostat(T6_ID);
+      const locations = createLocations();
+      locations[0].devices = [];
+      server.requests = [];
+
+      await device.onPollLocations(locations);
+
+      assert.strictEqual(server.getRequests(`/v2/devices/thermostats/${T6_ID}`, 'GET').length, 1);
+      assert.strictEqual(device.getCapabilityValue('target_temperature'), 20);
+    });
+  });
+
+  describe('authorization', function() {
+    it('asks to repair the devices of a session when the authorization expired', async function() {
+      const device = pairThermostat(T6_ID);
+      await device.onOAuth2Init();
+      const { oAuth2Client } = device;
+
+      server.revokeTokens();
+      await oAuth2Client.getPoller().poll();
+
+      assert.strictEqual(device.getAvailable(), false);
+      assert.strictEqual(device._unavailableMessage, client.homey.__('authorizationExpired'));
+
+      await oAuth2Client.getTokenByCode({ code: 'test-code' });
+      await device.onOAuth2Uninit();
+
+      assert.strictEqual(device.getAvailable(), true);
+    });
+  });
+
+  describe('command queue', function() {
+    const THERMOSTAT_PATH = `/v2/devices/thermostats/${T6_ID}`;
+
+    const pairQueueingThermostat = async () => {
+      const device = pairThermostat(T6_ID);
+      await device.setSettings({ queue_commands: true, queue_expiry: 60 });
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+      return device;
+    };
+
+    it('sends a change made while offline once the thermostat is alive', async function() {
+      this.timeout(5000);
+      const device = await pairQueueingThermostat();
+      const { oAuth2Client } = device;
+
+      server.getDevice(T6_ID).isAlive = false;
+      await device.onPollLocations(await oAuth2Client.getLocations());
+      const writeCount = server.getRequests(THERMOSTAT_PATH, 'POST').length;
+
+      await device.onMultipleCapabilities({ target_temperature: 21 });
+      assert.strictEqual(server.getRequests(THERMOSTAT_PATH, 'POST').length, writeCount);
+      assert.deepStrictEqual(device.getStoreValue('queuedCommand').capabilityValues, {
+        target_temperature: 21,
+      });
+
+      server.getDevice(T6_ID).isAlive = true;
+      await device.onPollLocations(await oAuth2Client.getLocations());
+
+      assert.strictEqual(server.getDevice(T6_ID).changeableValues.heatSetpoint, 21);
+      assert.strictEqual(device.getCapabilityValue('target_temperature'), 21);
+      assert.strictEqual(device.getStoreValue('queuedCommand'), null);
+
+      const [applied] = client.homey.flow.triggered
+        .filter(({ id }) => id === 'queued_command_applied');
+      assert.strictEqual(applied.tokens.command, 'target_temperature: 21');
+    });
+
+    it('drops a change made while rate limited when it expired', async function() {
+      const device = await pairQueueingThermostat();
+      const { oAuth2Client } = device;
+
+      server.rateLimit(1);
+      await assertRejects(oAuth2Client.getLocations());
+      await device.onFanCapability('On');
+
+      const queuedCommand = device.getStoreValue('queuedCommand');
+      assert.strictEqual(queuedCommand.fanMode, 'On');
+      assert.strictEqual(queuedCommand.expiresAt, queuedCommand.queuedAt + (60 * 60 * 1000));
+
+      await device.setStoreValue('queuedCommand', { ...queuedCommand, expiresAt: Date.now() - 1 });
+      await device.onPollLocations(await createClient(server).getLocations());
+
+      assert.strictEqual(device.getStoreValue('queuedCommand'), null);
+      assert.strictEqual(server.getRequests(`${THERMOSTAT_PATH}/fan`, 'POST').length, 0);
+      const [expired] = client.homey.flow.triggered
+        .filter(({ id }) => id === 'queued_command_expired');
+      assert.strictEqual(expired.tokens.command, 'fan_mode: On');
+    });
+
+    it('keeps the expiry of the first queued change when changes are merged', async function() {
+      const device = await pairQueueingThermostat();
+      const { oAuth2Client } = device;
+
+      server.rateLimit(1);
+      await assertRejects(oAuth2Client.getLocations());
+      await device.onFanCapability('On');
+      const queuedCommand = device.getStoreValue('queuedCommand');
+      await device.setStoreValue('queuedCommand', {
+        ...queuedCommand,
+        queuedAt: queuedCommand.queuedAt - (30 * 60 * 1000),
+        expiresAt: queuedCommand.expiresAt - (30 * 60 * 1000),
+      });
+
+      await device.onFanCapability('Auto');
+
+      const mergedCommand = device.getStoreValue('queuedCommand');
+      assert.strictEqual(mergedCommand.fanMode, 'Auto');
+      assert.strictEqual(mergedCommand.expiresAt, queuedCommand.expiresAt - (30 * 60 * 1000));
+    });
+
+    it('sends changes right away when the queue is disabled', async function() {
+      const device = pairThermostat(T6_ID);
+      server.getDevice(T6_ID).isAlive = false;
+      await device.onPollLocations(await client.getLocations());
+
+      await device.onFanCapability('On');
+
+      assert.strictEqual(server.getRequests(`${THERMOSTAT_PATH}/fan`, 'POST').length, 1);
+      assert.strictEqual(device.getStoreValue('queuedCommand'), null);
+    });
+  });
+
+  describe('fan timer', function() {
+    const getFanMode = () => server.fans[T6_ID].mode;
+
+    const pairFanThermostat = async () => {
+      const device = pairThermostat(T6_ID);
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+      return device;
+    };
+
+    it('runs the fan and restores the fan mode when the timer ended during a restart', async function() {
+      const device = await pairFanThermostat();
+
+      await device.runFanFor(30);
+      assert.strictEqual(getFanMode(), 'On');
+      assert.strictEqual(device.getStoreValue('fanTimer').restoreMode, 'Auto');
+
+      // Homey restarts after the timer ended
+      const timer = device.getStoreValue('fanTimer');
+      await device.setStoreValue('fanTimer', { ...timer, endsAt: Date.now() - 1000 });
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.strictEqual(getFanMode(), 'Auto');
+      assert.strictEqual(device.getStoreValue('fanTimer'), null);
+    });
+
+    it('circulates the air a number of minutes every hour', async function() {
+      const device = await pairFanThermostat();
+
+      await device.circulateFan(15);
+      assert.strictEqual(getFanMode(), 'On');
+
+      // Move the start of the timer back to test the rest of the hour and the next hour
+      const setMinutesSinceStart = minutes => device.setStoreValue('fanTimer', {
+        ...device.getStoreValue('fanTimer'), startedAt: Date.now() - (minutes * 60 * 1000),
+      });
+      await setMinutesSinceStart(20);
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+      assert.strictEqual(getFanMode(), 'Auto');
+
+      await setMinutesSinceStart(60);
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+      assert.strictEqual(getFanMode(), 'On');
+
+      // A new timer keeps the fan mode from before the first timer
+      await device.runFanFor(10);
+      assert.strictEqual(device.getStoreValue('fanTimer').restoreMode, 'Auto');
+
+      await device.stopFanTimer();
+      assert.strictEqual(getFanMode(), 'Auto');
+      assert.strictEqual(device.getStoreValue('fanTimer'), null);
+    });
+
+    it('switches back to the fan mode from before the timer between circulations', async function() {
+      const device = await pairFanThermostat();
+      await device.triggerCapabilityListener('fan_mode', 'Circulate');
+
+      await device.circulateFan(15);
+      assert.strictEqual(getFanMode(), 'On');
+
+      await device.setStoreValue('fanTimer', {
+        ...device.getStoreValue('fanTimer'), startedAt: Date.now() - (20 * 60 * 1000),
+      });
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+      assert.strictEqual(getFanMode(), 'Circulate');
+    });
+
+    it('stops the timer when the fan mode is set', async function() {
+      const device = await pairFanThermostat();
+
+      await device.runFanFor(30);
+      await device.onFanCapability('Circulate');
+
+      assert.strictEqual(getFanMode(), 'Circulate');
+      assert.strictEqual(device.getStoreValue('fanTimer'), null);
+    });
+  });
+
+  describe('write confirmation', function() {
+    it('rolls back a value the thermostat ignored after the device was repaired', async function() {
+      this.timeout(5000);
+      const { homey } = client;
+      const originalSetTimeout = homey.setTimeout;
+      // Skip the delays between the reads that confirm a write
+      homey.setTimeout = (fn, ms) => originalSetTimeout(fn, ms >= 5000 && ms <= 15000 ? 0 : ms);
+
+      try {
+        const device = pairThermostat(T6_ID);
+        await device.onOAuth2Init();
+        await device.onPollLocations(await device.oAuth2Client.getLocations());
+
+        // Repairing uninitializes and initializes the same device instance
+        await device.onOAuth2Uninit();
+        await device.onOAuth2Init();
+
+        server.ignoreWrites();
+        await device.triggerCapabilityListener('target_temperature', 22);
+        while (!homey.flow.triggered.some(({ id }) => id === 'command_failed')) {
+          await new Promise(resolve => originalSetTimeout(resolve, 10));
+        }
+        await device.onOAuth2Uninit();
+
+        const { tokens } = homey.flow.triggered.find(({ id }) => id === 'command_failed');
+        assert.deepStrictEqual(tokens, {
+          capability: 'target_temperature', attempted: '22', actual: '20',
+        });
+      } finally {
+        homey.setTimeout = originalSetTimeout;
+        server.ignoreWrites(false);
+      }
+    });
+  });
+
+  describe('flow actions', function() {
+    it('fails the flow when the cooling setpoint is out of range', async function() {
+      this.timeout(5000);
+      const device = pairThermostat(T6_ID);
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      await assertRejects(device.setCoolSetpoint(1), /must be between 10 and 32/);
+    });
+  });
+
+  describe('modes', function() {
+    const getWrittenValues = deviceId => {
+      const [request] = server.getRequests(`/v2/devices/thermostats/${deviceId}`, 'POST').slice(-1);
+      return JSON.parse(request.body);
+    };
+
+    it('sets the modes the device allows and rejects others', async function() {
+      this.timeout(5000);
+      const device = pairThermostat(T9_ID);
+      server.getDevice(T9_ID).allowedModes = ['Heat', 'Auto', 'Off'];
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.deepStrictEqual(device.getModes(), ['Auto', 'Heat', 'Off']);
+      await assertRejects(device.setMode('Cool'), /does not support the mode Cool/);
+
+      await device.setMode('Auto');
+      assert.strictEqual(getWrittenValues(T9_ID).mode, 'Auto');
+    });
+
+    it('keeps the legacy mode cards working', async function() {
+      this.timeout(5000);
+      const device = pairThermostat(T6_ID);
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+      await device.driver.onOAuth2Init();
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+
+      const { flow } = client.homey;
+      assert.strictEqual(await flow.getConditionCard('ac_mode_is')
+        .runListener({ device, ac_mode: 'Heat' }), true);
+      assert.strictEqual(await flow.getConditionCard('thermostat_mode_is')
+        .runListener({ device, thermostat_mode: 'cool' }), false);
+
+      await flow.getActionCard('thermostat_mode_set').runListener({ device, thermostat_mode: 'cool' });
+      assert.strictEqual(getWrittenValues(T6_ID).mode, 'Cool');
+      assert.strictEqual(device.getMode(), 'Cool');
+    });
+
+    it('shows when the auxiliary heat of a heat pump runs', async function() {
+      this.timeout(5000);
+      const device = pairThermostat(T6_ID);
+      Object.assign(server.getDevice(T6_ID), {
+        allowedModes: ['EmergencyHeat', 'Heat', 'Off', 'Cool', 'Auto'],
+      });
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+      const { oAuth2Client } = device;
+
+      await device.onPollLocations(await oAuth2Client.getLocations());
+      assert.strictEqual(device.getCapabilityValue('custom_aux_heat'), false);
+
+      server.getDevice(T6_ID).operationStatus.mode = 'AuxHeat';
+      await device.onPollLocations(await oAuth2Client.getLocations());
+      assert.strictEqual(device.getCapabilityValue('custom_aux_heat'), true);
+      assert.strictEqual(device.getCapabilityValue('custom_equipment_status'), 'heating');
+      assert.strictEqual(client.homey.flow.triggered
+        .filter(({ id }) => id === 'aux_heat_started').length, 1);
+
+      await device.setMode('EmergencyHeat');
+      assert.strictEqual(getWrittenValues(T6_ID).mode, 'EmergencyHeat');
+    });
+
+    it('turns auto changeover on', async function() {
+      this.timeout(5000);
+      const device = pairThermostat(T6_ID);
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+      assert.strictEqual(device.getCapabilityValue('custom_auto_changeover'), false);
+
+      await device.setAutoChangeover(true);
+      const values = getWrittenValues(T6_ID);
+      assert.strictEqual(values.autoChangeoverActive, true);
+      assert.strictEqual(values.mode, 'Heat');
+
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+      assert.strictEqual(device.getCapabilityValue('custom_auto_changeover'), true);
+    });
+
+    it('parses and writes the cooling setpoint of a cool only thermostat', async function() {
+      this.timeout(5000);
+      Object.assign(server.getDevice(T6_ID), { allowedModes: ['Cool', 'Off'], settings: {} });
+      server.getDevice(T6_ID).changeableValues.mode = 'Cool';
+      const device = pairThermostat(T6_ID);
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+      assert.strictEqual(device.hasCapability('target_temperature'), false);
+
+      await device.onPollLocations(await device.oAuth2Client.getLocations());
+      assert.strictEqual(device.getCapabilityValue('target_temperature.cool'), 24);
+      assert.strictEqual(device.getCapabilityValue('thermostat_mode'), 'cool');
+      assert.strictEqual(device.getCapabilityValue('custom_hold_status'), 'NoHold');
+      assert.strictEqual(device.getAvailable(), true);
+
+      await device.setCoolSetpoint(21);
+      const values = getWrittenValues(T6_ID);
+      assert.strictEqual(values.coolSetpoint, 21);
+      assert.strictEqual(values.heatSetpoint, 20);
+      assert.strictEqual(device.hasCapability('target_temperature'), false);
+    });
+  });
+
+  describe('capability migration', function() {
+    it('replaces the legacy mode capability by thermostat_mode', async function() {
+      const [location] = server.locations;
+      const driver = new TThermostatDriver({ homey: client.homey });
+      const { store: { allowedModes, ...store }, ...deviceData } = driver._getDevice({
+        device: location.devices.find(locationDevice => locationDevice.deviceID === T6_ID),
+        location,
+      });
+      const device = createDevice(TThermostatDevice, {
+        ...deviceData,
+        store,
+        capabilities: deviceData.capabilities
+          .map(capabilityId => (capabilityId === 'thermostat_mode' ? 'custom_ac_mode' : capabilityId)),
+        capabilitiesOptions: {},
+      }, client);
+      await device.setCapabilityValue('custom_ac_mode', 'Cool');
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.ok(!device.hasCapability('custom_ac_mode'));
+      assert.strictEqual(device.getCapabilityValue('thermostat_mode'), 'cool');
+      assert.deepStrictEqual(device.getModes(), ['Auto', 'Heat', 'Cool', 'Off']);
+      assert.ok(device._capabilityListeners['thermostat_mode']);
+    });
+
+    it('adds the capabilities of modes and a fan that were enabled after pairing', async function() {
+      const device = pairThermostat(T9_ID);
+      Object.assign(server.getDevice(T9_ID), {
+        allowedModes: ['Heat', 'Off', 'Cool'],
+        minCoolSetpoint: 50,
+        maxCoolSetpoint: 90,
+        settings: { fan: { allowedModes: ['On', 'Auto'], changeableValues: { mode: 'Auto' } } },
+      });
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.deepStrictEqual(device.getModes(), ['Heat', 'Cool', 'Off']);
+      assert.deepStrictEqual(device.getCapabilityOptions('thermostat_mode').values
+        .map(({ id }) => id), ['heat', 'cool', 'off']);
+      assert.ok(device.hasCapability('fan_mode'));
+      assert.ok(device.hasCapability('target_temperature.cool'));
+      assert.strictEqual(device.getCapabilityOptions('target_temperature.cool').min, 10);
+      assert.strictEqual(device.getCapabilityOptions('target_temperature.cool').title.en, 'Cooling setpoint');
+      assert.ok(device._capabilityListeners['target_temperature.cool']);
+      assert.ok(device._capabilityListeners['fan_mode']);
+    });
+
+    it('removes the capabilities of modes and a fan that were disabled', async function() {
+      const device = pairThermostat(T6_ID);
+      Object.assign(server.getDevice(T6_ID), { allowedModes: ['Heat', 'Off'], settings: {} });
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.deepStrictEqual(device.getModes(), ['Heat', 'Off']);
+      assert.ok(!device.hasCapability('fan_mode'));
+      assert.ok(!device.hasCapability('target_temperature.cool'));
+      assert.ok(device.hasCapability('measure_humidity'));
+    });
+
+    it('keeps the capabilities of modes and a fan when the device data is incomplete', async function() {
+      const device = pairThermostat(T6_ID);
+      const deviceData = server.getDevice(T6_ID);
+      delete deviceData.allowedModes;
+      delete deviceData.settings;
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.ok(device.hasCapability('thermostat_mode'));
+      assert.ok(device.hasCapability('target_temperature.cool'));
+      assert.ok(device.hasCapability('custom_auto_changeover'));
+      assert.ok(device.hasCapability('fan_mode'));
+      assert.deepStrictEqual(device.getModes(), ['Auto', 'Heat', 'Cool', 'Off']);
+    });
+
+    it('updates the setpoint ranges', async function() {
+      const device = pairThermostat(T6_ID);
+      server.getDevice(T6_ID).maxHeatSetpoint = 28;
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.strictEqual(device.getCapabilityOptions('target_temperature').max, 28);
+    });
+
+    it('only adds the hold capabilities when the device can not be fetched', async function() {
+      const device = pairThermostat(T6_ID);
+      await device.removeCapability('custom_hold_status');
+      await device.removeCapability('fan_mode');
+      server.rateLimit(1);
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.ok(device.hasCapability('custom_hold_status'));
+      assert.ok(!device.hasCapability('fan_mode'));
+    });
+  });
+
+  describe('account session', function() {
+    it('moves the device to the session of its account', async function() {
+      const device = pairThermostat(T6_ID);
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      const { app } = client.homey;
+      assert.strictEqual(device.getStoreValue('OAuth2SessionId'), `user-${USER_ID}`);
+      assert.strictEqual(device.oAuth2Client, app.clients[`user-${USER_ID}`]);
+      assert.strictEqual(device.oAuth2Client.getTitle(), 'Home');
+      assert.deepStrictEqual(app.cleanedSessions, ['session-1']);
+      assert.strictEqual(device.getSetting('account'), 'Home');
+    });
+
+    it('shares the session of the account with devices of other sessions', async function() {
+      const { app } = client.homey;
+      const device = pairThermostat(T6_ID);
+      client = app.createOAuth2Client({ sessionId: 'session-2' });
+      const otherDevice = pairThermostat(T9_ID);
+
+      await device.onOAuth2Init();
+      await otherDevice.onOAuth2Init();
+      await device.onOAuth2Uninit();
+      await otherDevice.onOAuth2Uninit();
+
+      assert.strictEqual(device.oAuth2Client, otherDevice.oAuth2Client);
+      assert.strictEqual(otherDevice.getStoreValue('OAuth2SessionId'), `user-${USER_ID}`);
+      assert.deepStrictEqual(app.cleanedSessions, ['session-1', 'session-2']);
+    });
+
+    it('moves the other devices of the session along', async function() {
+      const { app } = client.homey;
+      const device = pairThermostat(T6_ID);
+      const otherDevice = pairThermostat(T9_ID);
+      const notInitializedDevice = pairThermostat(T9_ID);
+
+      // The other device could not join the session of the account when it was initialized
+      server.revokeTokens();
+      await otherDevice.onOAuth2Init();
+      await client.getTokenByCode({ code: 'test-code' });
+
+      await device.onOAuth2Init();
+      const { oAuth2Client } = device;
+      assert.strictEqual(otherDevice.oAuth2Client, oAuth2Client);
+      assert.strictEqual(oAuth2Client.listenerCount('authorizationExpired'), 2);
+      assert.strictEqual(client.listenerCount('authorizationExpired'), 0);
+      await device.onOAuth2Uninit();
+      await otherDevice.onOAuth2Uninit();
+
+      assert.strictEqual(otherDevice.getStoreValue('OAuth2SessionId'), `user-${USER_ID}`);
+      assert.strictEqual(notInitializedDevice.getStoreValue('OAuth2SessionId'), `user-${USER_ID}`);
+      assert.deepStrictEqual(app.cleanedSessions, ['session-1']);
+    });
+
+    it('keeps the session of the account when a location is added', async function() {
+      const { app } = client.homey;
+      const device = pairThermostat(T6_ID);
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      server.locations.push({
+        locationID: 42, name: 'Cottage', users: server.locations[0].users, devices: [],
+      });
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.strictEqual(device.getStoreValue('OAuth2SessionId'), `user-${USER_ID}`);
+      assert.deepStrictEqual(app.cleanedSessions, ['session-1']);
+      assert.strictEqual(device.getSetting('account'), 'Cottage, Home');
+    });
+
+    it('moves devices of a session identified by locations to the session of the user', async function() {
+      const { app } = client.homey;
+      client = app.createOAuth2Client({ sessionId: `account-${LOCATION_ID}` });
+      const device = pairThermostat(T6_ID);
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.strictEqual(device.getStoreValue('OAuth2SessionId'), `user-${USER_ID}`);
+      assert.deepStrictEqual(app.cleanedSessions, [`account-${LOCATION_ID}`]);
+    });
+
+    it('keeps the session when the account can not be determined', async function() {
+      const device = pairThermostat(T6_ID);
+      server.rateLimit(1);
+
+      await device.onOAuth2Init();
+      await device.onOAuth2Uninit();
+
+      assert.strictEqual(device.getStoreValue('OAuth2SessionId'), 'session-1');
+      assert.strictEqual(device.oAuth2Client, client);
+    });
+
+    it('migrates legacy devices with the same tokens to one session', function() {
+      const createLegacyDevice = refreshToken => {
+        const device = new TThermostatDevice({
+          homey: client.homey,
+          settings: { atoken: 'access', rtoken: refreshToken },
+        });
+        device.driver = { getOAuth2ConfigId: () => 'default' };
+        return device;
+      };
+
+      const { sessionId } = createLegacyDevice('refresh').onOAuth2Migrate();
+      assert.strictEqual(createLegacyDevice('refresh').onOAuth2Migrate().sessionId, sessionId);
+      assert.notStrictEqual(createLegacyDevice('other').onOAuth2Migrate().sessionId, sessionId);
+    });
+  });
+
+  describe('room sensor', function() {
+    it('parses the values of the room sensor from the rooms of the thermostat', async function() {
+      const device = createDevice(RoomSensorDevice, {
+        data: { id: `${T9_ID}-1` },
+        store: { locationId: LOCATION_ID, thermostatId: T9_ID, accessoryId: 1 },
+        capabilities: ['measure_temperature', 'measure_humidity', 'alarm_motion', 'custom_occupancy', 'alarm_battery'],
+      }, client);
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getCapabilityValue('measure_temperature'), 19);
+      assert.strictEqual(device.getCapabilityValue('measure_humidity'), 46);
+      assert.strictEqual(device.getCapabilityValue('alarm_motion'), false);
+      assert.strictEqual(device.getCapabilityValue('custom_occupancy'), true);
+      assert.strictEqual(device.getCapabilityValue('alarm_battery'), false);
+      assert.strictEqual(device.getAvailable(), true);
+    });
+
+    it('does not fetch the rooms on every poll', async function() {
+      const device = createDevice(RoomSensorDevice, {
+        data: { id: `${T9_ID}-1` },
+        store: { locationId: LOCATION_ID, thermostatId: T9_ID, accessoryId: 1 },
+        capabilities: ['measure_temperature'],
+      }, client);
+      const roomsPath = `/v2/devices/thermostats/${T9_ID}/group/0/rooms`;
+      const requestCount = server.getRequests(roomsPath, 'GET').length;
+
+      await device.onPollLocations(await client.getLocations());
+      await client.getPoller().poll();
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(server.getRequests(roomsPath, 'GET').length, requestCount + 1);
+    });
+  });
+
+  describe('water leak detector', function() {
+    const pairDetector = () => createDevice(WaterLeakDetectorDevice, {
+      data: { id: LEAK_DETECTOR_ID },
+      store: { locationId: LOCATION_ID },
+      capabilities: ['alarm_water', 'measure_temperature', 'measure_humidity', 'measure_battery', 'custom_last_checkin'],
+    }, client);
+
+    it('parses the values of the detector', async function() {
+      const device = pairDetector();
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getCapabilityValue('alarm_water'), false);
+      assert.strictEqual(device.getCapabilityValue('measure_temperature'), 12.4);
+      assert.strictEqual(device.getCapabilityValue('measure_humidity'), 61);
+      assert.strictEqual(device.getCapabilityValue('measure_battery'), 87);
+      assert.strictEqual(device.getAvailable(), true);
+    });
+
+    it('triggers when a leak is detected', async function() {
+      const device = pairDetector();
+      await device.onPollLocations(await client.getLocations());
+
+      server.getDevice(LEAK_DETECTOR_ID).waterPresent = true;
+      await device.onPollLocations(await client.getLocations());
+
+      assert.strictEqual(device.getCapabilityValue('alarm_water'), true);
+      assert.deepStrictEqual(client.homey.flow.triggered.map(({ id }) => id), ['leak_detected']);
+    });
+  });
+});
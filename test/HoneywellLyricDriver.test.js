@@ -0,0 +1,241 @@
+'use strict';
+
+const assert = require('assert');
+
+const Homey = require('homey');
+const { startServer, createClient } = require('./support');
+const TThermostatDriver = require('../drivers/tthermostat/driver');
+const RoomSensorDriver = require('../drivers/roomsensor/driver');
+const WaterLeakDetectorDriver = require('../drivers/waterleakdetector/driver');
+const { MODES } = require('../lib/HoneywellModes');
+const manifest = require('../app.json');
+const {
+  LOCATION_ID, T6_ID, T9_ID, LEAK_DETECTOR_ID, createLocations,
+} = require('./support/fixtures');
+
+/**
+ * Returns the device data the driver creates for a device of the fixtures.
+ * @param {String} deviceId
+ * @returns {Object}
+ */
+function getDevice(deviceId) {
+  const driver = new TThermostatDriver({ homey: Homey.createHomey() });
+  const [location] = createLocations();
+  return driver._getDevice({
+    device: location.devices.find(device => device.deviceID === deviceId),
+    location,
+  });
+}
+
+describe('HoneywellLyricDriver', function() {
+  describe('_getDevice', function() {
+    it('returns the device data of a Celsius thermostat with cooling and a fan', function() {
+      const device = getDevice(T6_ID);
+
+      assert.strictEqual(device.name, 'Living room');
+      assert.deepStrictEqual(device.data, { id: T6_ID });
+      assert.strictEqual(device.store.locationId, LOCATION_ID);
+      assert.deepStrictEqual(device.settings, { units: 'Celsius' });
+      assert.deepStrictEqual(device.capabilities, [
+        'measure_temperature',
+        'custom_hold_status',
+        'custom_hold_until',
+        'target_temperature',
+        'target_temperature.cool',
+        'thermostat_mode',
+        'custom_auto_changeover',
+        'fan_mode',
+        'measure_humidity',
+        'measure_temperature.outdoor',
+        'custom_equipment_status',
+        'custom_duty_cycle',
+        'custom_runtime_heating',
+        'custom_runtime_heating.week',
+        'custom_runtime_heating.total',
+        'custom_runtime_cooling',
+        'custom_runtime_cooling.week',
+        'custom_runtime_cooling.total',
+        'custom_runtime_fan',
+        'custom_runtime_fan.week',
+        'custom_runtime_fan.total',
+        'measure_humidity.outdoor',
+      ]);
+
+      const { target_temperature: heat, 'target_temperature.cool': cool } = device.capabilitiesOptions;
+      assert.strictEqual(heat.min, 4.5);
+      assert.strictEqual(heat.max, 30);
+      assert.strictEqual(heat.step, 0.5);
+      assert.strictEqual(cool.min, 10);
+      assert.strictEqual(cool.max, 32);
+      const modes = device.capabilitiesOptions.thermostat_mode.values;
+      assert.deepStrictEqual(modes.map(({ id }) => id), ['auto', 'heat', 'cool', 'off']);
+      assert.deepStrictEqual(device.store.allowedModes, ['Heat', 'Off', 'Cool', 'Auto']);
+    });
+
+    it('converts the setpoint limits of a Fahrenheit thermostat to Celsius', function() {
+      const device = getDevice(T9_ID);
+
+      assert.deepStrictEqual(device.settings, { units: 'Fahrenheit' });
+      assert.ok(device.capabilities.includes('thermostat_mode'));
+      assert.ok(!device.capabilities.includes('target_temperature.cool'));
+      assert.ok(!device.capabilities.includes('fan_mode'));
+
+      const { target_temperature: heat } = device.capabilitiesOptions;
+      assert.strictEqual(heat.min, 4.5);
+      assert.strictEqual(heat.max, 32);
+    });
+
+    it('limits the modes to the modes the device allows', function() {
+      const driver = new TThermostatDriver({ homey: Homey.createHomey() });
+      const [location] = createLocations();
+      const device = location.devices.find(locationDevice => locationDevice.deviceID === T6_ID);
+
+      const heatOnly = driver.getCapabilities({ ...device, allowedModes: ['Heat', 'Auto', 'Off'] });
+      assert.ok(heatOnly.capabilities.includes('thermostat_mode'));
+      assert.ok(!heatOnly.capabilities.includes('target_temperature.cool'));
+      const heatOnlyModes = heatOnly.capabilitiesOptions.thermostat_mode.values;
+      assert.deepStrictEqual(heatOnlyModes.map(({ id }) => id), ['auto', 'heat', 'off']);
+
+      const coolOnly = driver.getCapabilities({ ...device, allowedModes: ['Cool', 'Off'] });
+      assert.ok(!coolOnly.capabilities.includes('target_temperature'));
+      assert.ok(coolOnly.capabilities.includes('target_temperature.cool'));
+      const coolOnlyModes = coolOnly.capabilitiesOptions.thermostat_mode.values;
+      assert.deepStrictEqual(coolOnlyModes.map(({ id }) => id), ['cool', 'off']);
+    });
+
+    it('adds emergency heat and auxiliary heat for heat pumps', function() {
+      const driver = new TThermostatDriver({ homey: Homey.createHomey() });
+      const [location] = createLocations();
+      const device = location.devices.find(locationDevice => locationDevice.deviceID === T6_ID);
+
+      const heatPump = driver.getCapabilities({
+        ...device, allowedModes: ['EmergencyHeat', 'Heat', 'Off', 'Cool', 'Auto'],
+      });
+      // thermostat_mode has no value for emergency heat, it is set with the mode card
+      const modes = heatPump.capabilitiesOptions.thermostat_mode.values;
+      assert.deepStrictEqual(modes.map(({ id }) => id), ['auto', 'heat', 'cool', 'off']);
+      assert.ok(heatPump.capabilities.includes('custom_aux_heat'));
+      assert.ok(!getDevice(T6_ID).capabilities.includes('custom_aux_heat'));
+    });
+
+    it('adds auto changeover for devices that report it', function() {
+      assert.ok(getDevice(T6_ID).capabilities.includes('custom_auto_changeover'));
+      assert.ok(!getDevice(T9_ID).capabilities.includes('custom_auto_changeover'));
+    });
+
+    it('does not add auto changeover to devices without Auto mode', function() {
+      const driver = new TThermostatDriver({ homey: Homey.createHomey() });
+      const [location] = createLocations();
+      const device = location.devices.find(locationDevice => locationDevice.deviceID === T6_ID);
+
+      const { capabilities } = driver.getCapabilities({ ...device, allowedModes: ['Heat', 'Cool', 'Off'] });
+      assert.ok(!capabilities.includes('custom_auto_changeover'));
+    });
+
+    it('adds the room priority capabilities to T9/T10 thermostats', function() {
+      assert.ok(getDevice(T9_ID).capabilities.includes('custom_priority_type'));
+      assert.ok(getDevice(T9_ID).capabilities.includes('custom_priority_rooms'));
+      assert.ok(!getDevice(T6_ID).capabilities.includes('custom_priority_type'));
+    });
+  });
+
+  describe('flow cards', function() {
+    it('offers all modes in the legacy mode cards', function() {
+      const expected = Object.keys(MODES)
+        .map(mode => ({ id: mode.toLowerCase(), title: MODES[mode] }));
+      const cardIds = ['thermostat_mode_changed', 'thermostat_mode_is', 'thermostat_mode_set'];
+      const { triggers, conditions, actions } = manifest.flow;
+      const cards = [...triggers, ...conditions, ...actions]
+        .filter(({ id }) => cardIds.includes(id));
+
+      assert.strictEqual(cards.length, 3);
+      cards.forEach(({ args }) => {
+        const { values } = args.find(({ name }) => name === 'thermostat_mode');
+        assert.deepStrictEqual(values, expected);
+      });
+    });
+  });
+
+  describe('onPairListDevices', function() {
+    let server;
+    let client;
+
+    before(async function() {
+      server = await startServer();
+      client = createClient(server);
+    });
+
+    beforeEach(function() {
+      server.locations = createLocations();
+    });
+
+    after(async function() {
+      await server.stop();
+    });
+
+    it('lists the thermostats of all locations', async function() {
+      const driver = new TThermostatDriver({ homey: Homey.createHomey() });
+      const devices = await driver.onPairListDevices({ oAuth2Client: client });
+
+      assert.deepStrictEqual(devices.map(device => device.data.id), [T6_ID, T9_ID]);
+      assert.strictEqual(devices[1].icon, '/t9_icon.svg');
+    });
+
+    it('stores the account and location in the settings', async function() {
+      const driver = new TThermostatDriver({ homey: Homey.createHomey() });
+      const [device] = await driver.onPairListDevices({ oAuth2Client: client });
+
+      assert.strictEqual(device.name, 'Living room');
+      assert.deepStrictEqual(device.settings, { units: 'Celsius', account: 'Home', location: 'Home' });
+    });
+
+    it('groups the devices of several locations by location name', async function() {
+      const [cottage] = createLocations();
+      cottage.locationID = 42;
+      cottage.name = 'Cottage';
+      cottage.devices = cottage.devices
+        .filter(device => device.deviceID === T6_ID)
+        .map(device => ({ ...device, deviceID: 'LCC-00D02DB6B1A2' }));
+      server.locations.push(cottage);
+
+      const driver = new TThermostatDriver({ homey: Homey.createHomey() });
+      const devices = await driver.onPairListDevices({ oAuth2Client: client });
+
+      assert.deepStrictEqual(devices.map(device => device.name), [
+        'Living room (Cottage)',
+        'Living room (Home)',
+        'Upstairs (Home)',
+      ]);
+      assert.strictEqual(devices[0].store.locationId, '42');
+      assert.strictEqual(devices[0].settings.location, 'Cottage');
+      assert.strictEqual(devices[0].settings.account, 'Cottage, Home');
+    });
+
+    it('lists the wireless room sensors of T9/T10 thermostats', async function() {
+      const roomSensorDriver = new RoomSensorDriver({ homey: Homey.createHomey() });
+      const devices = await roomSensorDriver.onPairListDevices({ oAuth2Client: client });
+
+      assert.deepStrictEqual(devices, [{
+        name: 'Bedroom',
+        data: { id: `${T9_ID}-1` },
+        store: { locationId: LOCATION_ID, thermostatId: T9_ID, accessoryId: 1 },
+        settings: { account: 'Home', location: 'Home' },
+        capabilities: [
+          'measure_temperature',
+          'measure_humidity',
+          'alarm_motion',
+          'custom_occupancy',
+          'alarm_battery',
+        ],
+      }]);
+    });
+
+    it('lists the water leak detectors', async function() {
+      const waterLeakDetectorDriver = new WaterLeakDetectorDriver({ homey: Homey.createHomey() });
+      const devices = await waterLeakDetectorDriver.onPairListDevices({ oAuth2Client: client });
+
+      assert.deepStrictEqual(devices.map(device => device.data.id), [LEAK_DETECTOR_ID]);
+      assert.strictEqual(devices[0].store.locationId, LOCATION_ID);
+    });
+  });
+});
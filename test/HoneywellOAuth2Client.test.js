@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('assert');
+const { URLSearchParams } = require('url');
+
+const { startServer, createClient, assertRejects } = require('./support');
+const { LOCATION_ID, T6_ID } = require('./support/fixtures');
+
+describe('HoneywellOAuth2Client', function() {
+  let server;
+  let client;
+
+  before(async function() {
+    server = await startServer();
+  });
+
+  after(async function() {
+    await server.stop();
+  });
+
+  beforeEach(function() {
+    client = createClient(server);
+  });
+
+  it('returns an empty object for an empty body with a JSON content type', async function() {
+    const result = await client.setFanMode({
+      locationId: LOCATION_ID, deviceId: T6_ID, mode: 'On',
+    });
+    assert.deepStrictEqual(result, {});
+  });
+
+  it('detects a rate limit returned as a 500 with a fault body', async function() {
+    const events = [];
+    client.on('rateLimited', event => events.push(event));
+
+    server.rateLimit(1);
+    await assertRejects(client.getLocations());
+
+    assert.strictEqual(client.isRateLimited(), true);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].count, 1);
+    assert.strictEqual(events[0].until, client.getRateLimitedUntil());
+    assert.ok(client.getRateLimitedUntil() >= Date.now() + (2 * 60 * 1000) - 1000);
+  });
+
+  it('holds writes while rate limited', async function() {
+    server.rateLimit(1);
+    await assertRejects(client.getLocations());
+
+    const requestCount = server.requests.length;
+    await assertRejects(client.setFanMode({
+      locationId: LOCATION_ID, deviceId: T6_ID, mode: 'On',
+    }), /rate limits, expected to recover at/);
+    assert.strictEqual(server.requests.length, requestCount);
+  });
+
+  it('clears the rate limit on the next successful response', async function() {
+    let cleared = 0;
+    client.on('rateLimitCleared', () => {
+      cleared += 1;
+    });
+
+    server.rateLimit(1);
+    await assertRejects(client.getLocations());
+    await client.getLocations();
+
+    assert.strictEqual(cleared, 1);
+    assert.strictEqual(client.isRateLimited(), false);
+  });
+
+  it('does not treat other errors as a rate limit', async function() {
+    await assertRejects(client.getDevice({ locationId: LOCATION_ID, deviceId: 'unknown' }));
+    assert.strictEqual(client.isRateLimited(), false);
+  });
+
+  it('refreshes an expired token with a Basic authorization header', async function() {
+    const { access_token: accessToken } = client.getToken();
+    server.expireAccessTokens();
+
+    const locations = await client.getLocations();
+    assert.ok(Array.isArray(locations));
+    assert.notStrictEqual(client.getToken().access_token, accessToken);
+
+    const [tokenRequest] = server.getRequests('/oauth2/token', 'POST').slice(-1);
+    assert.ok(tokenRequest.headers.authorization.startsWith('Basic '));
+    assert.strictEqual(new URLSearchParams(tokenRequest.body).get('grant_type'), 'refresh_token');
+  });
+
+  it('detects an expired or revoked authorization', async function() {
+    let expired = 0;
+    client.on('authorizationExpired', () => {
+      expired += 1;
+    });
+
+    server.revokeTokens();
+    await assertRejects(client.getLocations(), /please repair this device/);
+    assert.strictEqual(client.isAuthorizationExpired(), true);
+
+    const requestCount = server.requests.length;
+    await assertRejects(client.getLocations(), /please repair this device/);
+    assert.strictEqual(server.requests.length, requestCount);
+    assert.strictEqual(expired, 1);
+  });
+
+  it('restores the authorization with a new login', async function() {
+    let restored = 0;
+    client.on('authorizationRestored', () => {
+      restored += 1;
+    });
+
+    server.revokeTokens();
+    await assertRejects(client.getLocations());
+    await client.getTokenByCode({ code: 'test-code' });
+
+    assert.strictEqual(client.isAuthorizationExpired(), false);
+    assert.strictEqual(restored, 1);
+    assert.ok(Array.isArray(await client.getLocations()));
+  });
+
+  it('restores the authorization when pairing hands a new token to the session', async function() {
+    server.revokeTokens();
+    await assertRejects(client.getLocations());
+
+    // Pairing logs in with a temporary client and passes its token to the existing session
+    const pairingClient = createClient(server);
+    await pairingClient.getTokenByCode({ code: 'test-code' });
+    client.setToken({ token: pairingClient.getToken() });
+
+    assert.strictEqual(client.isAuthorizationExpired(), false);
+    assert.ok(Array.isArray(await client.getLocations()));
+  });
+
+  it('exchanges a code for a token with a Basic authorization header', async function() {
+    const token = await client.onGetTokenByCode({ code: 'test-code' });
+    assert.strictEqual(typeof token.access_token, 'string');
+    assert.strictEqual(typeof token.refresh_token, 'string');
+
+    const [tokenRequest] = server.getRequests('/oauth2/token', 'POST').slice(-1);
+    const params = new URLSearchParams(tokenRequest.body);
+    assert.strictEqual(params.get('grant_type'), 'authorization_code');
+    assert.strictEqual(params.get('redirect_uri'), 'https://callback.athom.com/oauth2/callback/');
+  });
+});
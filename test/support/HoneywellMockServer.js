@@ -0,0 +1,320 @@
+'use strict';
+
+const http = require('http');
+const { URL, URLSearchParams } = require('url');
+
+const fixtures = require('./fixtures');
+
+const RATE_LIMIT_FAULT = {
+  fault: {
+    faultstring: 'Rate limit quota violation. Quota limit  exceeded. Identifier : test-client-id',
+    detail: { errorcode: 'policies.ratelimit.QuotaViolation' },
+  },
+};
+
+/*
+ * Local stand-in for the Honeywell API. It reproduces the quirks the app works around:
+ * - rate limits are returned as a 500 with a fault body instead of a 429;
+ * - writes are answered with an empty body and a JSON content type;
+ * - token requests need a Basic authorization header with the client id and secret;
+ * - a HoldUntil without nextPeriodTime is rejected.
+ */
+class HoneywellMockServer {
+
+  /**
+   * @param {String} clientId
+   * @param {String} clientSecret
+   */
+  constructor({ clientId, clientSecret }) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+
+    this.locations = fixtures.createLocations();
+    this.schedules = {};
+    this.fans = {};
+    this.rooms = { [fixtures.T9_ID]: fixtures.createRooms(fixtures.T9_ID) };
+    this.priorities = { [fixtures.T9_ID]: fixtures.createPriority(fixtures.T9_ID) };
+
+    this.requests = [];
+    this._tokenCount = 0;
+    this._accessTokens = new Set();
+    this._refreshTokens = new Set();
+    this._rateLimitCount = 0;
+    this._ignoreWrites = false;
+
+    this._server = http.createServer((req, res) => {
+      this._onRequest(req, res).catch(err => {
+        this._send(res, 500, { message: err.message });
+      });
+    });
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await new Promise(resolve => this._server.listen(0, '127.0.0.1', resolve));
+    const { port } = this._server.address();
+    this.url = `http://127.0.0.1:${port}`;
+    this.tokenUrl = `${this.url}/oauth2/token`;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await new Promise(resolve => this._server.close(resolve));
+  }
+
+  /**
+   * Returns a new valid token.
+   * @returns {Object}
+   */
+  issueToken() {
+    this._tokenCount += 1;
+    const token = {
+      access_token: `access-${this._tokenCount}`,
+      refresh_token: `refresh-${this._tokenCount}`,
+      expires_in: '599',
+      token_type: 'Bearer',
+    };
+    this._accessTokens.add(token.access_token);
+    this._refreshTokens.add(token.refresh_token);
+    return token;
+  }
+
+  /**
+   * Invalidates all access tokens, API calls return a 401 until the token is refreshed.
+   */
+  expireAccessTokens() {
+    this._accessTokens.clear();
+  }
+
+  /**
+   * Invalidates all access and refresh tokens, as if the user revoked the authorization.
+   */
+  revokeTokens() {
+    this._accessTokens.clear();
+    this._refreshTokens.clear();
+  }
+
+  /**
+   * Answers the next API requests as if the rate limit quota is exceeded.
+   * @param {number} [count]
+   */
+  rateLimit(count = 1) {
+    this._rateLimitCount = count;
+  }
+
+  /**
+   * Accepts writes without applying them, like the API sometimes does.
+   * @param {boolean} [ignore]
+   */
+  ignoreWrites(ignore = true) {
+    this._ignoreWrites = ignore;
+  }
+
+  /**
+   * Returns a device from the locations.
+   * @param {String} deviceId
+   * @returns {Object|undefined}
+   */
+  getDevice(deviceId) {
+    for (const location of this.locations) {
+      const device = location.devices.find(locationDevice => locationDevice.deviceID === deviceId);
+      if (device) return device;
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns the requests made to a path, optionally filtered by method.
+   * @param {String} path
+   * @param {String} [method]
+   * @returns {Array}
+   */
+  getRequests(path, method) {
+    return this.requests.filter(request => request.path === path
+      && (!method || request.method === method));
+  }
+
+  async _onRequest(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await new Promise(resolve => {
+      let data = '';
+      req.on('data', chunk => {
+        data += chunk;
+      });
+      req.on('end', () => resolve(data));
+    });
+
+    const query = {};
+    url.searchParams.forEach((value, key) => {
+      query[key] = value;
+    });
+
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query,
+      headers: req.headers,
+      body,
+    };
+    this.requests.push(request);
+
+    if (url.pathname === '/oauth2/token') {
+      this._onTokenRequest(request, res);
+      return;
+    }
+
+    if (request.query.apikey !== this.clientId) {
+      this._send(res, 401, { code: 401, message: 'Invalid apikey' });
+      return;
+    }
+
+    const [, accessToken] = (req.headers.authorization || '').split('Bearer ');
+    if (!this._accessTokens.has(accessToken)) {
+      this._send(res, 401, { code: 401, message: 'Unauthorized' });
+      return;
+    }
+
+    if (this._rateLimitCount > 0) {
+      this._rateLimitCount -= 1;
+      this._send(res, 500, RATE_LIMIT_FAULT);
+      return;
+    }
+
+    this._onApiRequest(request, res);
+  }
+
+  _onTokenRequest(request, res) {
+    const basic = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    if (request.headers.authorization !== `Basic ${basic}`) {
+      this._send(res, 401, { fault: { faultstring: 'Invalid client credentials' } });
+      return;
+    }
+
+    const params = new URLSearchParams(request.body);
+    if (params.get('grant_type') === 'refresh_token' && this._refreshTokens.has(params.get('refresh_token'))) {
+      this._refreshTokens.delete(params.get('refresh_token'));
+      this._send(res, 200, this.issueToken());
+      return;
+    }
+
+    if (params.get('grant_type') === 'authorization_code' && params.get('code') === 'test-code') {
+      this._send(res, 200, this.issueToken());
+      return;
+    }
+
+    this._send(res, 400, { error: 'invalid_grant' });
+  }
+
+  _onApiRequest(request, res) {
+    const { method, path } = request;
+    const json = request.body ? JSON.parse(request.body) : undefined;
+    const [, version, resource, type, deviceId, ...rest] = path.split('/');
+    const subResource = rest.join('/');
+
+    if (version !== 'v2') {
+      this._send(res, 404, { code: 404, message: 'Not found' });
+      return;
+    }
+
+    if (resource === 'locations' && method === 'GET') {
+      this._send(res, 200, this.locations);
+      return;
+    }
+
+    if (resource !== 'devices') {
+      this._send(res, 404, { code: 404, message: 'Not found' });
+      return;
+    }
+
+    const device = this.getDevice(deviceId);
+    if (!device) {
+      this._send(res, 404, { code: 404, message: 'Device not found' });
+      return;
+    }
+
+    if (type === 'thermostats' && subResource === '') {
+      if (method === 'GET') {
+        this._send(res, 200, device);
+        return;
+      }
+      if (method === 'POST') {
+        if (json.thermostatSetpointStatus === 'HoldUntil' && !json.nextPeriodTime) {
+          this._send(res, 400, { code: 400, message: 'NextPeriodTime is required for HoldUntil' });
+          return;
+        }
+        if (!this._ignoreWrites) Object.assign(device.changeableValues, json);
+        this._sendEmptyJSON(res);
+        return;
+      }
+    }
+
+    if (type === 'thermostats' && subResource === 'fan') {
+      if (!this.fans[deviceId]) this.fans[deviceId] = { mode: 'Auto' };
+      if (method === 'GET') {
+        this._send(res, 200, this.fans[deviceId]);
+        return;
+      }
+      if (method === 'POST') {
+        if (!this._ignoreWrites) Object.assign(this.fans[deviceId], json);
+        this._sendEmptyJSON(res);
+        return;
+      }
+    }
+
+    if (type === 'thermostats' && subResource === 'priority' && this.priorities[deviceId]) {
+      if (method === 'GET') {
+        this._send(res, 200, this.priorities[deviceId]);
+        return;
+      }
+      if (method === 'PUT') {
+        if (!this._ignoreWrites) {
+          Object.assign(this.priorities[deviceId].currentPriority, json.currentPriority);
+        }
+        this._sendEmptyJSON(res);
+        return;
+      }
+    }
+
+    if (type === 'thermostats' && subResource === 'group/0/rooms' && this.rooms[deviceId] && method === 'GET') {
+      this._send(res, 200, this.rooms[deviceId]);
+      return;
+    }
+
+    if (type === 'schedule') {
+      if (!this.schedules[deviceId]) this.schedules[deviceId] = fixtures.createSchedule(deviceId);
+      if (method === 'GET') {
+        this._send(res, 200, this.schedules[deviceId]);
+        return;
+      }
+      if (method === 'POST') {
+        if (!this._ignoreWrites) this.schedules[deviceId] = json;
+        this._sendEmptyJSON(res);
+        return;
+      }
+    }
+
+    if (type === 'waterLeakDetectors' && method === 'GET') {
+      this._send(res, 200, device);
+      return;
+    }
+
+    this._send(res, 404, { code: 404, message: 'Not found' });
+  }
+
+  _send(res, status, json) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(json));
+  }
+
+  _sendEmptyJSON(res) {
+    res.writeHead(200, { 'Content-Type': 'application/json;charset=UTF-8' });
+    res.end();
+  }
+
+}
+
+module.exports = HoneywellMockServer;
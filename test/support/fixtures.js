@@ -0,0 +1,186 @@
+'use strict';
+
+/*
+ * Honeywell API responses for a location with a Celsius T6 thermostat with cooling and a fan, a
+ * Fahrenheit T9 thermostat with a wireless room sensor and a water leak detector. Every call
+ * returns new objects so tests can modify them.
+ */
+
+const LOCATION_ID = '1234567';
+const T6_ID = 'LCC-00D02DB6B1A1';
+const T9_ID = 'LCC-48A2E6C54321';
+const LEAK_DETECTOR_ID = 'ABC0123456789';
+const USER_ID = 2226890;
+
+function createT6() {
+  return {
+    deviceClass: 'Thermostat',
+    deviceType: 'Thermostat',
+    deviceID: T6_ID,
+    deviceModel: 'T6-T5',
+    userDefinedDeviceName: 'Living room',
+    name: 'Living room',
+    isAlive: true,
+    units: 'Celsius',
+    indoorTemperature: 20.5,
+    outdoorTemperature: 11,
+    indoorHumidity: 48,
+    displayedOutdoorHumidity: 81,
+    allowedModes: ['Heat', 'Off', 'Cool', 'Auto'],
+    deadband: 1.5,
+    minHeatSetpoint: 4.5,
+    maxHeatSetpoint: 30,
+    minCoolSetpoint: 10,
+    maxCoolSetpoint: 32,
+    changeableValues: {
+      mode: 'Heat',
+      autoChangeoverActive: false,
+      heatSetpoint: 20,
+      coolSetpoint: 24,
+      thermostatSetpointStatus: 'NoHold',
+      nextPeriodTime: '22:00:00',
+      heatCoolMode: 'Heat',
+    },
+    operationStatus: {
+      mode: 'Heat',
+      fanRequest: false,
+      circulationFanRequest: false,
+    },
+    settings: {
+      fan: {
+        allowedModes: ['On', 'Auto', 'Circulate'],
+        changeableValues: { mode: 'Auto' },
+      },
+    },
+  };
+}
+
+function createT9() {
+  return {
+    deviceClass: 'Thermostat',
+    deviceType: 'Thermostat',
+    deviceID: T9_ID,
+    deviceModel: 'T9-T10',
+    userDefinedDeviceName: 'Upstairs',
+    name: 'Upstairs',
+    isAlive: true,
+    units: 'Fahrenheit',
+    indoorTemperature: 68,
+    allowedModes: ['Heat', 'Off'],
+    minHeatSetpoint: 40,
+    maxHeatSetpoint: 90,
+    changeableValues: {
+      mode: 'Heat',
+      heatSetpoint: 66,
+      coolSetpoint: 76,
+      thermostatSetpointStatus: 'HoldUntil',
+      nextPeriodTime: '06:30:00',
+    },
+    settings: {},
+  };
+}
+
+function createLeakDetector() {
+  return {
+    deviceClass: 'LeakDetector',
+    deviceType: 'Water Leak Detector',
+    deviceID: LEAK_DETECTOR_ID,
+    userDefinedDeviceName: 'Basement',
+    isAlive: true,
+    waterPresent: false,
+    batteryRemaining: 87,
+    lastCheckin: new Date(Date.now() - (60 * 60 * 1000)).toISOString(),
+    currentSensorReadings: { temperature: 12.4, humidity: 61 },
+    deviceSettings: { temp: { low: { limit: 2 } } },
+  };
+}
+
+function createLocations() {
+  return [{
+    locationID: Number(LOCATION_ID),
+    name: 'Home',
+    ianaTimeZone: 'Europe/Amsterdam',
+    users: [
+      { userID: USER_ID, username: 'owner@example.com', isCurrentUser: true },
+      { userID: 3337001, username: 'guest@example.com', isCurrentUser: false },
+    ],
+    devices: [createT6(), createT9(), createLeakDetector()],
+  }];
+}
+
+function createSchedule(deviceId) {
+  const periods = [
+    {
+      periodType: 'Wake', periodStartTime: '06:30:00', heatSetPoint: 20, coolSetPoint: 25, isCancelled: false,
+    },
+    {
+      periodType: 'Sleep', periodStartTime: '22:00:00', heatSetPoint: 16, coolSetPoint: 27, isCancelled: false,
+    },
+  ];
+
+  return {
+    deviceID: deviceId,
+    scheduleType: { scheduleType: 'Timed', scheduleSubType: 'NA' },
+    timedSchedule: {
+      days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+        .map(day => ({ day, periods: periods.map(period => ({ ...period })) })),
+    },
+  };
+}
+
+function createRooms(deviceId) {
+  return {
+    deviceId,
+    groupId: 0,
+    rooms: [{
+      id: 0,
+      name: 'Bedroom',
+      type: 'Bedroom',
+      avgTemperature: 67,
+      avgHumidity: 45,
+      accessories: [
+        {
+          accessoryId: 0,
+          accessoryAttribute: { type: 'Thermostat', name: 'Upstairs' },
+          accessoryValue: { indoorTemperature: 68, indoorHumidity: 44, status: 'Ok' },
+        },
+        {
+          accessoryId: 1,
+          accessoryAttribute: { type: 'IndoorAirSensor', name: 'Bedroom sensor' },
+          accessoryValue: {
+            indoorTemperature: 66.2,
+            indoorHumidity: 46,
+            motionDet: false,
+            occupancyDet: true,
+            status: 'Ok',
+            batteryStatus: 'Ok',
+          },
+        },
+      ],
+    }],
+  };
+}
+
+function createPriority(deviceId) {
+  return {
+    deviceId,
+    status: 'NoHold',
+    currentPriority: {
+      priorityType: 'PickARoom',
+      selectedRooms: [0],
+      rooms: [{ id: 0, roomName: 'Bedroom' }, { id: 1, roomName: 'Office' }],
+    },
+  };
+}
+
+module.exports = {
+  LOCATION_ID,
+  T6_ID,
+  T9_ID,
+  LEAK_DETECTOR_ID,
+  USER_ID,
+  createLocations,
+  createSchedule,
+  createRooms,
+  createPriority,
+};
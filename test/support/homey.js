@@ -0,0 +1,256 @@
+/* eslint-disable max-classes-per-file */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const manifest = require('../../app.json');
+const locale = require('../../locales/en.json');
+
+/*
+ * Minimal stand-in for the parts of the homey module the app uses, devices and drivers keep their
+ * state in memory and Flow cards record what they triggered.
+ */
+
+const env = {
+  HONEYWELL_API_CLIENT_ID: 'test-client-id',
+  HONEYWELL_API_CLIENT_SECRET: 'test-client-secret',
+};
+
+/**
+ * Returns a translation from the English locale with its tokens replaced.
+ * @param {String} key - e.g. 'errors.unknownSchedule'
+ * @param {Object} tokens
+ * @returns {string}
+ */
+function translate(key, tokens = {}) {
+  const value = key.split('.').reduce((result, part) => (result ? result[part] : undefined), locale);
+  if (typeof value !== 'string') return key;
+  return Object.keys(tokens).reduce((result, token) => {
+    return result.split(`__${token}__`).join(String(tokens[token]));
+  }, value);
+}
+
+/**
+ * Creates the homey instance that is available as this.homey in apps, drivers and devices.
+ * @param {String} [timeZone]
+ * @returns {Object}
+ */
+function createHomey({ timeZone = 'Europe/Amsterdam' } = {}) {
+  const triggered = [];
+  const cards = new Map();
+
+  const getCard = (id, { deviceCard = false } = {}) => {
+    if (!cards.has(id)) {
+      const card = {
+        id,
+        runListener: null,
+        autocompleteListeners: {},
+        registerRunListener(listener) {
+          card.runListener = listener;
+          return card;
+        },
+        registerArgumentAutocompleteListener(name, listener) {
+          card.autocompleteListeners[name] = listener;
+          return card;
+        },
+        async trigger(...args) {
+          // Device trigger cards receive the device as first argument
+          const [device, tokens, state] = deviceCard ? args : [null, ...args];
+          triggered.push({
+            id, device, tokens, state,
+          });
+        },
+      };
+      cards.set(id, card);
+    }
+    return cards.get(id);
+  };
+
+  return {
+    __: translate,
+    // Pending timeouts, like the reads that confirm a write, do not keep the tests running
+    setTimeout: (fn, ms) => setTimeout(fn, ms).unref(),
+    clearTimeout: timeout => clearTimeout(timeout),
+    clock: {
+      getTimezone: () => timeZone,
+    },
+    flow: {
+      triggered,
+      getDeviceTriggerCard: id => getCard(id, { deviceCard: true }),
+      getTriggerCard: getCard,
+      getConditionCard: getCard,
+      getActionCard: getCard,
+    },
+  };
+}
+
+class SimpleClass extends EventEmitter {
+
+  log() {}
+
+  error() {}
+
+}
+
+class App extends SimpleClass {
+
+  constructor({ homey = createHomey() } = {}) {
+    super();
+    this.homey = homey;
+  }
+
+}
+
+class Driver extends SimpleClass {
+
+  constructor({ homey = createHomey() } = {}) {
+    super();
+    this.homey = homey;
+  }
+
+}
+
+class Device extends SimpleClass {
+
+  constructor({
+    homey = createHomey(),
+    driver = null,
+    name = 'Device',
+    data = {},
+    store = {},
+    settings = {},
+    capabilities = [],
+    capabilitiesOptions = {},
+  } = {}) {
+    super();
+    this.homey = homey;
+    this.driver = driver;
+
+    this._name = name;
+    this._data = data;
+    this._store = { ...store };
+    this._settings = { ...settings };
+    this._capabilities = [...capabilities];
+    this._capabilitiesOptions = { ...capabilitiesOptions };
+    this._capabilityValues = {};
+    this._available = true;
+    this._unavailableMessage = null;
+    this._capabilityListeners = {};
+  }
+
+  getName() {
+    return this._name;
+  }
+
+  getData() {
+    return this._data;
+  }
+
+  getStore() {
+    return this._store;
+  }
+
+  getStoreValue(key) {
+    return Object.prototype.hasOwnProperty.call(this._store, key) ? this._store[key] : null;
+  }
+
+  async setStoreValue(key, value) {
+    this._store[key] = value;
+  }
+
+  async unsetStoreValue(key) {
+    delete this._store[key];
+  }
+
+  getSetting(key) {
+    return Object.prototype.hasOwnProperty.call(this._settings, key) ? this._settings[key] : null;
+  }
+
+  getSettings() {
+    return this._settings;
+  }
+
+  async setSettings(settings) {
+    Object.assign(this._settings, settings);
+  }
+
+  getCapabilities() {
+    return this._capabilities;
+  }
+
+  hasCapability(capabilityId) {
+    return this._capabilities.includes(capabilityId);
+  }
+
+  async addCapability(capabilityId) {
+    if (!this.hasCapability(capabilityId)) this._capabilities.push(capabilityId);
+  }
+
+  async removeCapability(capabilityId) {
+    this._capabilities = this._capabilities.filter(id => id !== capabilityId);
+    delete this._capabilityValues[capabilityId];
+  }
+
+  getCapabilityValue(capabilityId) {
+    if (!this.hasCapability(capabilityId)) return null;
+    return Object.prototype.hasOwnProperty.call(this._capabilityValues, capabilityId)
+      ? this._capabilityValues[capabilityId]
+      : null;
+  }
+
+  async setCapabilityValue(capabilityId, value) {
+    if (!this.hasCapability(capabilityId)) {
+      throw new Error(`Invalid Capability: ${capabilityId}`);
+    }
+    this._capabilityValues[capabilityId] = value;
+  }
+
+  getCapabilityOptions(capabilityId) {
+    return this._capabilitiesOptions[capabilityId] || {};
+  }
+
+  async setCapabilityOptions(capabilityId, options) {
+    this._capabilitiesOptions[capabilityId] = options;
+  }
+
+  registerCapabilityListener(capabilityId, listener) {
+    this._capabilityListeners[capabilityId] = listener;
+  }
+
+  registerMultipleCapabilityListener(capabilityIds, listener) {
+    capabilityIds.forEach(capabilityId => {
+      this._capabilityListeners[capabilityId] = value => listener({ [capabilityId]: value }, {});
+    });
+  }
+
+  async triggerCapabilityListener(capabilityId, value) {
+    await this._capabilityListeners[capabilityId](value);
+    await this.setCapabilityValue(capabilityId, value);
+  }
+
+  getAvailable() {
+    return this._available;
+  }
+
+  async setAvailable() {
+    this._available = true;
+    this._unavailableMessage = null;
+  }
+
+  async setUnavailable(message) {
+    this._available = false;
+    this._unavailableMessage = message;
+  }
+
+}
+
+module.exports = {
+  env,
+  manifest,
+  App,
+  Driver,
+  Device,
+  SimpleClass,
+  createHomey,
+};
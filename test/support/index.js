@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const { OAuth2Token } = require('homey-oauth2app');
+
+const Homey = require('homey');
+const HoneywellLyricClient = require('../../lib/HoneywellLyricClient');
+const HoneywellMockServer = require('./HoneywellMockServer');
+
+/**
+ * Starts a mock server with the client id and secret of the test env.
+ * @returns {Promise<HoneywellMockServer>}
+ */
+async function startServer() {
+  const server = new HoneywellMockServer({
+    clientId: Homey.env.HONEYWELL_API_CLIENT_ID,
+    clientSecret: Homey.env.HONEYWELL_API_CLIENT_SECRET,
+  });
+  await server.start();
+  return server;
+}
+
+/**
+ * Creates a client for the mock server with a valid token. Errors the client logs are collected
+ * instead of thrown by the EventEmitter.
+ * @param {HoneywellMockServer} server
+ * @param {Homey} [homey]
+ * @param {Function} [Client]
+ * @returns {HoneywellLyricClient}
+ */
+function createClient(server, { homey = Homey.createHomey(), Client = HoneywellLyricClient } = {}) {
+  const client = new Client({
+    homey,
+    token: OAuth2Token,
+    clientId: Homey.env.HONEYWELL_API_CLIENT_ID,
+    clientSecret: Homey.env.HONEYWELL_API_CLIENT_SECRET,
+    apiUrl: server.url,
+    tokenUrl: server.tokenUrl,
+    authorizationUrl: `${server.url}/oauth2/authorize`,
+    redirectUrl: 'https://callback.athom.com/oauth2/callback/',
+    scopes: [],
+  });
+
+  client.errors = [];
+  client.on('error', (...args) => client.errors.push(args));
+  client.setToken({ token: new OAuth2Token(server.issueToken()) });
+
+  return client;
+}
+
+/**
+ * Creates the parts of the app that manage the OAuth2 sessions, with a client for the mock server
+ * per session. Devices created by the tests are added to devices.
+ * @param {HoneywellMockServer} server
+ * @param {Homey} homey
+ * @returns {Object}
+ */
+function createApp(server, homey) {
+  const clients = {};
+  return {
+    clients,
+    devices: [],
+    cleanedSessions: [],
+    hasOAuth2Client({ sessionId }) {
+      return !!clients[sessionId];
+    },
+    getOAuth2Client({ sessionId }) {
+      if (!clients[sessionId]) throw new Error('Could not get OAuth2Client');
+      return clients[sessionId];
+    },
+    createOAuth2Client({ sessionId }) {
+      clients[sessionId] = createClient(server, { homey });
+      return clients[sessionId];
+    },
+    async getOAuth2Devices({ sessionId }) {
+      return this.devices.filter(device => device.getStoreValue('OAuth2SessionId') === sessionId);
+    },
+    tryCleanSession({ sessionId }) {
+      this.cleanedSessions.push(sessionId);
+    },
+  };
+}
+
+/**
+ * Asserts that the promise rejects with an error whose message matches the pattern.
+ * @param {Promise} promise
+ * @param {RegExp} [pattern]
+ * @returns {Promise<void>}
+ */
+async function assertRejects(promise, pattern = /.*/) {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  assert.ok(error instanceof Error, 'Expected promise to reject');
+  assert.ok(pattern.test(error.message), `Unexpected error: ${error.message}`);
+}
+
+module.exports = {
+  startServer,
+  createClient,
+  createApp,
+  assertRejects,
+};
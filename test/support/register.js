@@ -0,0 +1,16 @@
+'use strict';
+
+const Module = require('module');
+const path = require('path');
+
+/*
+ * The homey module is provided by the Homey runtime and can not be installed, resolve it to the
+ * stand-in in this directory so the app can be loaded by the tests.
+ */
+const HOMEY_PATH = path.join(__dirname, 'homey.js');
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function _resolveFilename(request, ...args) {
+  if (request === 'homey') return HOMEY_PATH;
+  return resolveFilename.call(this, request, ...args);
+};